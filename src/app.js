@@ -13,9 +13,15 @@ const Chain = require('./models/chain');
 const chainService = require('./services/chainService');
 const tpsRoutes = require('./routes/tpsRoutes');
 const tpsService = require('./services/tpsService');
+const anomalyService = require('./services/anomalyService');
+const rollupService = require('./services/rollupService');
+const rpcProbeService = require('./services/rpcProbeService');
 const TPS = require('./models/tps');
 const cumulativeTxCountRoutes = require('./routes/cumulativeTxCountRoutes');
 const teleporterRoutes = require('./routes/teleporterRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const anomalyRoutes = require('./routes/anomalyRoutes');
+const registryRoutes = require('./routes/registryRoutes');
 const logger = require('./utils/logger');
 const blogRoutes = require('./routes/blogRoutes');
 const substackService = require('./services/substackService');
@@ -93,9 +99,24 @@ const initializeDataUpdates = async () => {
         await tpsService.updateTpsData(chain.chainId);
         // Add initial Transaction Count update for each chain
         await tpsService.updateCumulativeTxCount(chain.chainId);
+        // Flag spikes, drops and stale series in the fresh data
+        await anomalyService.detectForChain(chain.chainId);
       }
       logger.info(`Updated ${chains.length} chains in database`);
 
+      // Deactivate chains Glacier no longer returns
+      await chainService.updateLifecycle(chains);
+
+      // Build rollups now so long history ranges don't wait for the nightly job
+      (async () => {
+        try {
+          const result = await rollupService.runRollups();
+          logger.info('[ROLLUPS INIT] Rollup update completed:', result);
+        } catch (error) {
+          logger.error('[ROLLUPS INIT] Rollup update failed:', { message: error.message });
+        }
+      })();
+
       // Verify chains were saved
       const savedChains = await Chain.find();
       logger.info('Chains in database:', {
@@ -130,8 +151,11 @@ const initializeDataUpdates = async () => {
       logger.info('[TELEPORTER INIT] Initializing weekly teleporter data...');
       (async () => {
         try {
-          // Update weekly data
-          await teleporterService.updateWeeklyData();
+          // Update weekly data for each enabled network
+          const { getEnabledNetworks } = require('./utils/network');
+          for (const network of getEnabledNetworks()) {
+            await teleporterService.updateWeeklyData(network);
+          }
           logger.info('[TELEPORTER INIT] Weekly data initialization completed');
         } catch (error) {
           logger.error('[TELEPORTER INIT] Error initializing weekly data:', {
@@ -160,13 +184,76 @@ const initializeDataUpdates = async () => {
         await tpsService.updateTpsData(chain.chainId);
         // Add Transaction Count update for each chain
         await tpsService.updateCumulativeTxCount(chain.chainId);
+        // Hourly points for intraday charts
+        if (config.api.metrics.hourlyIngestion) {
+          await tpsService.updateHourlyTpsData(chain.chainId);
+          await tpsService.updateHourlyTxCount(chain.chainId);
+        }
+        // Flag spikes, drops and stale series in the fresh data
+        await anomalyService.detectForChain(chain.chainId);
       }
       logger.info(`[CRON] Updated ${chains.length} chains with TPS and Transaction Count data`);
+
+      // Deactivate chains Glacier no longer returns
+      await chainService.updateLifecycle(chains);
     } catch (error) {
       logger.error('[CRON] Chain/TPS/TxCount update failed:', error);
     }
   });
 
+  // Additional chain metrics (gas used, active addresses, fees, contracts) every 6 hours
+  cron.schedule(config.cron.metricsUpdate, async () => {
+    try {
+      logger.info(`[CRON METRICS] Starting scheduled metrics update at ${new Date().toISOString()}`);
+      const chains = await Chain.find({ lifecycleState: { $ne: 'inactive' } }).select('chainId').lean();
+      for (const chain of chains) {
+        await tpsService.updateAdditionalMetrics(chain.chainId);
+      }
+      logger.info(`[CRON METRICS] Updated ${config.api.metrics.additionalMetrics.join(', ')} for ${chains.length} chains`);
+    } catch (error) {
+      logger.error('[CRON METRICS] Metrics update failed:', error);
+    }
+  });
+
+  // Fill missing TPS and tx count days once a day
+  if (config.api.metrics.gapBackfill.enabled) {
+    cron.schedule(config.cron.gapBackfill, async () => {
+      try {
+        logger.info(`[CRON GAP BACKFILL] Starting scheduled gap backfill at ${new Date().toISOString()}`);
+        const results = await tpsService.runGapBackfill();
+        const filledDays = results.reduce((sum, result) => sum + result.filledDays, 0);
+        const remainingDays = results.reduce((sum, result) => sum + result.remainingDays, 0);
+        logger.info(`[CRON GAP BACKFILL] Filled ${filledDays} missing days, ${remainingDays} still missing across ${results.length} series`);
+      } catch (error) {
+        logger.error('[CRON GAP BACKFILL] Gap backfill failed:', error);
+      }
+    });
+  }
+
+  // Weekly/monthly rollups and raw data retention once a day
+  cron.schedule(config.cron.rollupUpdate, async () => {
+    try {
+      logger.info(`[CRON ROLLUPS] Starting scheduled rollup update at ${new Date().toISOString()}`);
+      const result = await rollupService.runRollups();
+      logger.info('[CRON ROLLUPS] Rollup update completed:', result);
+    } catch (error) {
+      logger.error('[CRON ROLLUPS] Rollup update failed:', error);
+    }
+  });
+
+  // RPC liveness probes every 10 minutes
+  if (config.rpcProbe.enabled) {
+    cron.schedule(config.cron.rpcProbe, async () => {
+      try {
+        logger.info(`[CRON RPC PROBE] Starting scheduled RPC probes at ${new Date().toISOString()}`);
+        const result = await rpcProbeService.probeAllChains();
+        logger.info('[CRON RPC PROBE] RPC probes completed:', result);
+      } catch (error) {
+        logger.error('[CRON RPC PROBE] RPC probes failed:', error);
+      }
+    });
+  }
+
   // Teleporter data updates every hour
   cron.schedule(config.cron.teleporterUpdate, async () => {
     try {
@@ -196,19 +283,24 @@ const initializeDataUpdates = async () => {
       logger.info(`[CRON TELEPORTER WEEKLY] Starting scheduled weekly teleporter update at ${new Date().toISOString()}`);
       const teleporterService = require('./services/teleporterService');
 
-      // Check if there's already an update in progress
-      const { TeleporterUpdateState, TeleporterMessage } = require('./models/teleporterMessage');
-      const existingUpdate = await TeleporterUpdateState.findOne({
-        updateType: 'weekly',
-        state: 'in_progress'
-      });
+      const { TeleporterUpdateState } = require('./models/teleporterMessage');
+      const { getEnabledNetworks, getNetworkQuery } = require('./utils/network');
 
-      if (existingUpdate) {
-        logger.info('[CRON TELEPORTER WEEKLY] Weekly teleporter update already in progress, skipping scheduled update');
-        return;
-      }
+      for (const network of getEnabledNetworks()) {
+        // Check if there's already an update in progress
+        const existingUpdate = await TeleporterUpdateState.findOne({
+          updateType: 'weekly',
+          state: 'in_progress',
+          ...getNetworkQuery(network)
+        });
+
+        if (existingUpdate) {
+          logger.info(`[CRON TELEPORTER WEEKLY] ${network} weekly teleporter update already in progress, skipping scheduled update`);
+          continue;
+        }
 
-      await teleporterService.updateWeeklyData();
+        await teleporterService.updateWeeklyData(network);
+      }
       logger.info('[CRON TELEPORTER WEEKLY] Weekly teleporter update completed');
     } catch (error) {
       logger.error('[CRON TELEPORTER WEEKLY] Weekly teleporter update failed:', error);
@@ -278,6 +370,9 @@ app.use('/api', chainRoutes);
 app.use('/api', tpsRoutes);
 app.use('/api', cumulativeTxCountRoutes);
 app.use('/api', teleporterRoutes);
+app.use('/api', metricsRoutes);
+app.use('/api', anomalyRoutes);
+app.use('/api', registryRoutes);
 app.use('/api', blogRoutes);
 
 // Health check endpoint
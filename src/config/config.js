@@ -2,6 +2,8 @@
  * Central configuration module
  * All configuration values should be defined here
  */
+const path = require("path");
+
 const config = {
   // Environment
   env: process.env.NODE_ENV || "development",
@@ -38,13 +40,19 @@ const config = {
       baseUrl: process.env.GLACIER_API_BASE,
       apiKey: process.env.GLACIER_API_KEY, // API key for increased rate limits
       timeout: parseInt(process.env.GLACIER_API_TIMEOUT || "30000"),
+      // Networks ingested from Glacier (chains, validators and ICM messages)
+      networks: (process.env.GLACIER_NETWORKS || "mainnet,fuji")
+        .split(",")
+        .map((network) => network.trim())
+        .filter(Boolean),
+      // {network} is replaced with the chain's network
       endpoints: {
         validators:
           process.env.GLACIER_VALIDATORS_ENDPOINT ||
-          "/networks/mainnet/validators",
+          "/networks/{network}/validators",
         l1Validators:
           process.env.GLACIER_L1VALIDATORS_ENDPOINT ||
-          "/networks/mainnet/l1Validators",
+          "/networks/{network}/l1Validators",
       },
       rateLimit: {
         requestsPerMinute: parseInt(process.env.GLACIER_RATE_LIMIT || "10"), // Conservative limit by default
@@ -63,6 +71,28 @@ const config = {
         retryDelay: parseInt(process.env.METRICS_RETRY_DELAY || "2000"),
         maxRetries: parseInt(process.env.METRICS_MAX_RETRIES || "3"),
       },
+      // Also ingest hourly TPS and tx count points on the hourly chain update
+      hourlyIngestion: process.env.METRICS_HOURLY_INGESTION !== "false",
+      networkTps: {
+        maxFillHours: parseInt(process.env.NETWORK_TPS_MAX_FILL_HOURS || "72"), // Furthest a chain's point is interpolated or carried forward
+      },
+      // Daily metrics ingested on the metrics update schedule, besides TPS and tx count
+      additionalMetrics: (process.env.METRICS_ADDITIONAL || "gasUsed,activeAddresses,feesPaid,contracts")
+        .split(",")
+        .map((metric) => metric.trim())
+        .filter(Boolean),
+      // Weekly/monthly rollups of daily TPS and tx counts, and how long raw daily points are kept
+      retention: {
+        rawDays: parseInt(process.env.METRICS_RAW_RETENTION_DAYS || "0"), // 0 keeps raw daily points forever
+        weeklyAfterDays: parseInt(process.env.METRICS_WEEKLY_ROLLUP_AFTER_DAYS || "180"), // History ranges longer than this use weekly rollups
+        monthlyAfterDays: parseInt(process.env.METRICS_MONTHLY_ROLLUP_AFTER_DAYS || "730"), // ...and longer than this monthly rollups
+        historyDays: parseInt(process.env.METRICS_HISTORY_BACKFILL_DAYS || "730"), // Daily history fetched once per chain to feed the rollups (0 disables)
+      },
+      // Daily scan for missing TPS and tx count days, filled from the metrics API
+      gapBackfill: {
+        enabled: process.env.METRICS_GAP_BACKFILL !== "false",
+        lookbackDays: parseInt(process.env.METRICS_GAP_LOOKBACK_DAYS || "90"),
+      },
     },
     // Alternative validator endpoints for chains that don't use Glacier or need custom endpoints
     alternativeValidators: {
@@ -120,6 +150,45 @@ const config = {
     teleporter: 5 * 60 * 1000, // 5 minutes
   },
 
+  // Teleporter/ICM ingestion
+  teleporter: {
+    ingestion: {
+      // Only fetch messages newer than the stored cursor instead of re-paging 24h/168h windows
+      incremental: process.env.TELEPORTER_INCREMENTAL_INGESTION !== "false",
+      initialLookbackHours: parseInt(process.env.TELEPORTER_INITIAL_LOOKBACK_HOURS || "168"), // Window for the first run
+      overlapMinutes: parseInt(process.env.TELEPORTER_CURSOR_OVERLAP_MINUTES || "10"), // Re-check recent messages indexed late
+      maxPagesPerRun: parseInt(process.env.TELEPORTER_MAX_PAGES_PER_RUN || "200"), // Resume from saved pageToken beyond this
+      pageDelay: parseInt(process.env.TELEPORTER_PAGE_DELAY || "1000"), // Delay between Glacier pages
+    },
+    delivery: {
+      pendingTimeoutMinutes: parseInt(process.env.TELEPORTER_PENDING_TIMEOUT_MINUTES || "30"), // Undelivered after this is reported as pending
+      refreshBatchSize: parseInt(process.env.TELEPORTER_PENDING_REFRESH_BATCH || "50"), // Pending messages re-checked per update
+      refreshMaxAgeHours: parseInt(process.env.TELEPORTER_PENDING_REFRESH_MAX_AGE_HOURS || "168"), // Stop re-checking older messages
+    },
+  },
+
+  // Metric anomaly detection
+  anomalies: {
+    lookbackDays: parseInt(process.env.ANOMALY_LOOKBACK_DAYS || "30"), // Baseline window
+    minBaselinePoints: parseInt(process.env.ANOMALY_MIN_BASELINE_POINTS || "7"), // Skip series with less history
+    evaluatePoints: parseInt(process.env.ANOMALY_EVALUATE_POINTS || "3"), // Latest points checked on each run
+    zScoreThreshold: parseFloat(process.env.ANOMALY_ZSCORE_THRESHOLD || "4"), // Spike/drop sensitivity
+    staleHours: parseInt(process.env.ANOMALY_STALE_HOURS || "72"), // Daily series older than this are stale
+  },
+
+  // RPC liveness probes (eth_blockNumber and eth_chainId against each chain's rpcUrl)
+  rpcProbe: {
+    enabled: process.env.RPC_PROBE_ENABLED !== "false",
+    timeout: parseInt(process.env.RPC_PROBE_TIMEOUT || "5000"), // Per request
+    concurrency: parseInt(process.env.RPC_PROBE_CONCURRENCY || "5"), // Chains probed at once
+    retentionDays: parseInt(process.env.RPC_PROBE_RETENTION_DAYS || "30"), // Older probes are pruned
+  },
+
+  // Curated chain metadata merged over Glacier data
+  registry: {
+    overridesFile: process.env.CHAIN_REGISTRY_FILE || path.join(__dirname, "chainRegistry.json"),
+  },
+
   // Blog/Substack integration
   blog: {
     rssUrl: process.env.SUBSTACK_RSS_URL || "https://l1beat.substack.com/feed",
@@ -138,6 +207,10 @@ const config = {
     tpsVerification: "*/15 * * * *", // Every 15 minutes
     teleporterUpdate: "0 * * * *", // Every hour
     blogSync: "0 */12 * * *", // Every 12 hours
+    metricsUpdate: "30 */6 * * *", // Every 6 hours, offset from the chain update
+    gapBackfill: "15 3 * * *", // Daily at 03:15
+    rollupUpdate: "45 3 * * *", // Daily at 03:45, after the gap backfill
+    rpcProbe: "*/10 * * * *", // Every 10 minutes
   },
 
   // Update your existing cache object:
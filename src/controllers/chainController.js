@@ -1,17 +1,71 @@
 const chainService = require('../services/chainService');
+const chainHistoryService = require('../services/chainHistoryService');
+const rpcProbeService = require('../services/rpcProbeService');
+const { getChainNetwork } = require('../utils/network');
+
+// Split a comma-separated query value into a list
+const parseList = (value, lowerCase = false) => {
+    if (!value) return undefined;
+    const list = value.split(',').map(item => item.trim()).filter(Boolean);
+    return lowerCase ? list.map(item => item.toLowerCase()) : list;
+};
+
+const CHAIN_QUERY_PARAMS = ['q', 'vmName', 'status', 'enabledFeatures', 'category', 'tag', 'hasTeleporter', 'minValidators', 'sort', 'order', 'fields', 'limit', 'cursor'];
 
 exports.getAllChains = async (req, res) => {
     try {
-        console.log('Fetching all chains...');
-        const chains = await chainService.getAllChains();
-        
-        console.log('Chains fetched:', {
-            count: chains?.length || 0,
-            firstChain: chains?.[0] ? chains[0].chainId : null
+        const network = req.query.network || 'mainnet';
+
+        // Without search, filter or paging options, keep the plain full list
+        if (!CHAIN_QUERY_PARAMS.some(param => req.query[param] !== undefined)) {
+            console.log(`Fetching all ${network} chains...`);
+            const chains = await chainService.getAllChains(network);
+
+            console.log('Chains fetched:', {
+                count: chains?.length || 0,
+                firstChain: chains?.[0] ? chains[0].chainId : null
+            });
+
+            return res.json(chains || []);
+        }
+
+        const { limit, cursor } = req.query;
+        const result = await chainService.queryChains({
+            network,
+            search: req.query.q,
+            vmNames: parseList(req.query.vmName, true),
+            statuses: parseList(req.query.status, true),
+            enabledFeatures: parseList(req.query.enabledFeatures),
+            categories: parseList(req.query.category, true),
+            tags: parseList(req.query.tag, true),
+            hasTeleporter: req.query.hasTeleporter,
+            minValidators: req.query.minValidators,
+            sort: req.query.sort,
+            order: req.query.order,
+            fields: parseList(req.query.fields),
+            limit,
+            cursor
+        });
+
+        // Only paged requests are wrapped with the cursor; otherwise keep the plain array
+        if (limit === undefined && cursor === undefined) {
+            return res.json(result.data);
+        }
+
+        res.json({
+            data: result.data,
+            metadata: {
+                network,
+                total: result.total,
+                count: result.data.length,
+                hasMore: result.hasMore,
+                nextCursor: result.nextCursor
+            }
         });
-        
-        res.json(chains || []);
     } catch (error) {
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({ error: error.message });
+        }
         console.error('Error in getAllChains:', error);
         res.status(500).json({ 
             error: 'Failed to fetch chains',
@@ -21,6 +75,228 @@ exports.getAllChains = async (req, res) => {
     }
 };
 
+exports.getChainRankings = async (req, res) => {
+    try {
+        const metric = req.query.metric || 'tps';
+        const window = req.query.window || '7d';
+
+        const network = req.query.network || 'mainnet';
+
+        const rankings = await chainService.getChainRankings(metric, window, network);
+
+        res.json({
+            data: rankings,
+            metadata: {
+                metric,
+                window,
+                network,
+                totalChains: rankings.length,
+                updatedAt: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('Error in getChainRankings:', error);
+        res.status(500).json({
+            error: 'Failed to fetch chain rankings',
+            message: error.message
+        });
+    }
+};
+
+exports.getCategories = async (req, res) => {
+    try {
+        const network = req.query.network || 'mainnet';
+        const { categories, uncategorized } = await chainService.getCategoryStats(network);
+
+        res.json({
+            data: categories,
+            metadata: {
+                network,
+                totalCategories: categories.length,
+                uncategorizedChains: uncategorized,
+                updatedAt: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('Error in getCategories:', error);
+        res.status(500).json({
+            error: 'Failed to fetch categories',
+            message: error.message
+        });
+    }
+};
+
+exports.getNewChains = async (req, res) => {
+    try {
+        const days = req.query.days || 30;
+        const network = req.query.network || 'mainnet';
+
+        const chains = await chainService.getNewChains(days, network);
+
+        res.json({
+            data: chains,
+            metadata: {
+                days,
+                network,
+                count: chains.length
+            }
+        });
+    } catch (error) {
+        console.error('Error in getNewChains:', error);
+        res.status(500).json({
+            error: 'Failed to fetch new chains',
+            message: error.message
+        });
+    }
+};
+
+exports.getInactiveChains = async (req, res) => {
+    try {
+        const network = req.query.network || 'mainnet';
+
+        const chains = await chainService.getInactiveChains(network);
+
+        res.json({
+            data: chains,
+            metadata: {
+                network,
+                count: chains.length
+            }
+        });
+    } catch (error) {
+        console.error('Error in getInactiveChains:', error);
+        res.status(500).json({
+            error: 'Failed to fetch inactive chains',
+            message: error.message
+        });
+    }
+};
+
+exports.compareChains = async (req, res) => {
+    try {
+        // Drop duplicates while keeping the requested order
+        const chainIds = [...new Set(req.query.chains.split(',').map(id => id.trim()).filter(Boolean))];
+        const metrics = req.query.metrics
+            ? [...new Set(req.query.metrics.split(',').map(metric => metric.trim()))]
+            : ['tps', 'txCount'];
+        const days = req.query.days || 30;
+
+        const comparison = await chainService.compareChains(chainIds, metrics, days);
+
+        res.json({
+            data: comparison,
+            metadata: {
+                chains: chainIds,
+                metrics,
+                days,
+                updatedAt: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        if (error.message.startsWith('Chains not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error in compareChains:', error);
+        res.status(500).json({
+            error: 'Failed to compare chains',
+            message: error.message
+        });
+    }
+};
+
+exports.getRecentChainChanges = async (req, res) => {
+    try {
+        const { event, cursor } = req.query;
+        const days = req.query.days || 30;
+        const limit = req.query.limit || 50;
+        const network = req.query.network || 'mainnet';
+
+        const result = await chainHistoryService.getRecentChanges({ days, event, network, limit, cursor });
+
+        res.json({
+            data: result.data,
+            metadata: {
+                days,
+                event: event || null,
+                network,
+                count: result.data.length,
+                hasMore: result.hasMore,
+                nextCursor: result.nextCursor
+            }
+        });
+    } catch (error) {
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error in getRecentChainChanges:', error);
+        res.status(500).json({
+            error: 'Failed to fetch chain changes',
+            message: error.message
+        });
+    }
+};
+
+exports.getChainHistory = async (req, res) => {
+    try {
+        const { chainId } = req.params;
+        const { field, cursor } = req.query;
+        const limit = req.query.limit || 50;
+
+        const result = await chainHistoryService.getChainHistory(chainId, { field, limit, cursor });
+
+        res.json({
+            data: result.data,
+            metadata: {
+                chainId,
+                field: field || null,
+                count: result.data.length,
+                hasMore: result.hasMore,
+                nextCursor: result.nextCursor
+            }
+        });
+    } catch (error) {
+        if (error.message === 'Chain not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error in getChainHistory:', error);
+        res.status(500).json({
+            error: 'Failed to fetch chain history',
+            message: error.message
+        });
+    }
+};
+
+exports.getRpcStatus = async (req, res) => {
+    try {
+        const { chainId } = req.params;
+        const days = req.query.days || 7;
+
+        const status = await rpcProbeService.getRpcStatus(chainId, { days });
+
+        res.json({
+            data: status,
+            metadata: {
+                chainId,
+                days,
+                granularity: days <= 2 ? 'hour' : 'day',
+                updatedAt: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        if (error.message === 'Chain not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error in getRpcStatus:', error);
+        res.status(500).json({
+            error: 'Failed to fetch RPC status',
+            message: error.message
+        });
+    }
+};
+
 exports.getChainById = async (req, res) => {
     try {
         const chain = await chainService.getChainById(req.params.chainId);
@@ -62,7 +338,7 @@ exports.fetchValidatorsDirectly = async (req, res) => {
         }
         
         // Fetch validators directly from the appropriate source
-        const validators = await chainService.fetchValidators(chain.subnetId, chainId);
+        const validators = await chainService.fetchValidators(chain.subnetId, chainId, getChainNetwork(chain));
         
         // Update the chain with the latest validators if any were found
         if (validators && validators.length > 0) {
@@ -1,6 +1,29 @@
 const teleporterService = require('../services/teleporterService');
 const logger = require('../utils/logger');
+const config = require('../config/config');
 const { TeleporterUpdateState } = require('../models/teleporterMessage');
+const { sendSeries } = require('../utils/exportFormatter');
+const { getNetworkQuery } = require('../utils/network');
+
+/**
+ * Check a time series range is well-formed and small enough to chart
+ * @param {Date} startDate - Start of the range
+ * @param {Date} endDate - End of the range
+ * @param {string} granularity - Bucket size (hour, day or week)
+ * @returns {string|null} Error message, or null if the range is valid
+ */
+const validateSeriesRange = (startDate, endDate, granularity) => {
+    if (startDate >= endDate) {
+        return 'From must be before to';
+    }
+    if (endDate - startDate > 365 * 24 * 60 * 60 * 1000) {
+        return 'Window cannot be longer than 365 days';
+    }
+    if (granularity === 'hour' && endDate - startDate > 31 * 24 * 60 * 60 * 1000) {
+        return 'Hourly granularity is limited to windows of 31 days';
+    }
+    return null;
+};
 
 /**
  * Get daily cross-chain message count
@@ -9,16 +32,17 @@ const { TeleporterUpdateState } = require('../models/teleporterMessage');
  */
 exports.getDailyCrossChainMessageCount = async (req, res) => {
     try {
-        logger.info('Fetching daily cross-chain message count...');
+        const network = req.query.network || 'mainnet';
+        logger.info(`Fetching ${network} daily cross-chain message count...`);
         
         // DIAGNOSTIC: Add unique request ID to track this request through the system
         const requestId = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
         logger.info(`DIAGNOSTIC: Daily cross-chain message count request started [${requestId}]`);
         
-        const messageCount = await teleporterService.getDailyCrossChainMessageCount(requestId);
+        const messageCount = await teleporterService.getDailyCrossChainMessageCount(requestId, network);
         
         // Get the most recent data from the database to include metadata
-        const recentData = await teleporterService.getAnyMessageCountFromDB('daily');
+        const recentData = await teleporterService.getAnyMessageCountFromDB('daily', network);
         
         logger.info('Daily cross-chain message count fetched:', {
             count: messageCount.length,
@@ -39,6 +63,7 @@ exports.getDailyCrossChainMessageCount = async (req, res) => {
         const response = {
             data: plainData,
             metadata: {
+                network,
                 totalMessages: recentData ? recentData.totalMessages : 0,
                 timeWindow: recentData ? recentData.timeWindow : 24,
                 timeWindowUnit: 'hours',
@@ -60,18 +85,20 @@ exports.getDailyCrossChainMessageCount = async (req, res) => {
  */
 exports.getWeeklyCrossChainMessageCount = async (req, res) => {
     try {
-        logger.info('Fetching weekly cross-chain message count (last 7 days)...');
+        const network = req.query.network || 'mainnet';
+        logger.info(`Fetching ${network} weekly cross-chain message count (last 7 days)...`);
         
         // Generate a unique request ID for tracking this request through the system
         const requestId = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}`;
         logger.info(`DIAGNOSTIC: Weekly cross-chain message count request started [${requestId}]`);
         
         // Get the most recent data from the database
-        const recentData = await teleporterService.getAnyMessageCountFromDB('weekly');
+        const recentData = await teleporterService.getAnyMessageCountFromDB('weekly', network);
         
         // Check if an update is in progress
         let updateState = await TeleporterUpdateState.findOne({ 
-            updateType: 'weekly'
+            updateType: 'weekly',
+            ...getNetworkQuery(network)
         });
         
         // Determine if we need to trigger an update
@@ -84,7 +111,7 @@ exports.getWeeklyCrossChainMessageCount = async (req, res) => {
             logger.info('Weekly data is missing or older than 24 hours, triggering background update', { requestId });
             
             // Trigger the update in the background using the new method
-            teleporterService.updateWeeklyData().catch(err => {
+            teleporterService.updateWeeklyData(network).catch(err => {
                 logger.error('Error during automatic weekly data update:', {
                     message: err.message,
                     stack: err.stack,
@@ -125,7 +152,7 @@ exports.getWeeklyCrossChainMessageCount = async (req, res) => {
                     logger.info('Weekly data is missing or older than 24 hours, triggering new background update', { requestId });
                     
                     // Trigger the update in the background using the new method
-                    teleporterService.updateWeeklyData().catch(err => {
+                    teleporterService.updateWeeklyData(network).catch(err => {
                         logger.error('Error during automatic weekly data update:', {
                             message: err.message,
                             stack: err.stack,
@@ -140,7 +167,7 @@ exports.getWeeklyCrossChainMessageCount = async (req, res) => {
         }
         
         // Get the message count data (this will use cached data if available)
-        const messageCount = await teleporterService.getWeeklyCrossChainMessageCount();
+        const messageCount = await teleporterService.getWeeklyCrossChainMessageCount(network);
         
         logger.info('Weekly cross-chain message count fetched:', {
             count: messageCount.length,
@@ -162,6 +189,7 @@ exports.getWeeklyCrossChainMessageCount = async (req, res) => {
         const response = {
             data: plainData,
             metadata: {
+                network,
                 totalMessages: recentData ? recentData.totalMessages : 0,
                 timeWindow: recentData ? recentData.timeWindow : 168,
                 timeWindowUnit: 'hours',
@@ -225,11 +253,12 @@ exports.getHistoricalDailyData = async (req, res) => {
     try {
         // Default to 30 days if not specified
         const days = parseInt(req.query.days || 30);
+        const network = req.query.network || 'mainnet';
         
-        logger.info(`Fetching historical daily cross-chain message counts for the past ${days} days...`);
+        logger.info(`Fetching ${network} historical daily cross-chain message counts for the past ${days} days...`);
         
         // Call the service method to get historical data
-        const historicalData = await teleporterService.getHistoricalDailyData(days);
+        const historicalData = await teleporterService.getHistoricalDailyData(days, network);
         
         // Format the response to be consistent with other endpoints
         const formattedData = historicalData.map(item => {
@@ -260,13 +289,24 @@ exports.getHistoricalDailyData = async (req, res) => {
         const response = {
             data: formattedData,
             metadata: {
+                network,
                 requestedDays: days,
                 daysReturned: formattedData.length,
                 updatedAt: new Date()
             }
         };
         
-        res.json(response);
+        // One row per day and chain pair for CSV/NDJSON exports
+        sendSeries(req, res, {
+            json: response,
+            rows: () => formattedData.flatMap(day => day.data.map(pair => ({
+                date: day.date,
+                dateString: day.dateString,
+                ...pair
+            }))),
+            columns: ['date', 'dateString', 'sourceChain', 'destinationChain', 'sourceEvmChainId', 'destinationEvmChainId', 'messageCount'],
+            filename: `teleporter-historical-daily-${network}-${days}d`
+        });
     } catch (error) {
         logger.error('Error fetching historical daily cross-chain message counts:', { 
             error: error.message,
@@ -276,4 +316,324 @@ exports.getHistoricalDailyData = async (req, res) => {
             error: 'Failed to fetch historical daily cross-chain message counts' 
         });
     }
-}; 
\ No newline at end of file
+};
+
+/**
+ * List individual ICM messages with filters and cursor pagination
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMessages = async (req, res) => {
+    try {
+        const { sourceChainId, destinationChainId, status, from, to, cursor } = req.query;
+        const limit = req.query.limit || 50;
+        const network = req.query.network || 'mainnet';
+
+        const result = await teleporterService.getMessages({
+            sourceChainId,
+            destinationChainId,
+            status,
+            from,
+            to,
+            limit,
+            cursor,
+            network
+        });
+
+        res.json({
+            data: result.data,
+            metadata: {
+                network,
+                count: result.data.length,
+                limit,
+                hasMore: result.hasMore,
+                nextCursor: result.nextCursor
+            }
+        });
+    } catch (error) {
+        if (error.message === 'Invalid cursor') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        logger.error('Error fetching ICM messages:', {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            error: 'Failed to fetch ICM messages'
+        });
+    }
+};
+
+/**
+ * Get a single ICM message with its source and destination transactions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMessageById = async (req, res) => {
+    try {
+        const network = req.query.network || 'mainnet';
+        const message = await teleporterService.getMessageById(req.params.messageId, network);
+        res.json({ data: message });
+    } catch (error) {
+        if (error.message === 'Message not found') {
+            return res.status(404).json({ error: error.message });
+        }
+
+        logger.error('Error fetching ICM message:', {
+            messageId: req.params.messageId,
+            error: error.message
+        });
+        res.status(500).json({
+            error: 'Failed to fetch ICM message'
+        });
+    }
+};
+
+/**
+ * Get delivery latency stats per chain pair
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getDeliveryLatency = async (req, res) => {
+    try {
+        const hours = req.query.hours || 24;
+        const { sourceChainId, destinationChainId } = req.query;
+        const network = req.query.network || 'mainnet';
+
+        const data = await teleporterService.getDeliveryLatency({ hours, sourceChainId, destinationChainId, network });
+
+        res.json({
+            data,
+            metadata: {
+                network,
+                timeWindow: hours,
+                timeWindowUnit: 'hours',
+                latencyUnit: 'seconds',
+                deliveredMessages: data.reduce((sum, item) => sum + item.deliveredCount, 0),
+                updatedAt: new Date()
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching ICM delivery latency:', {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            error: 'Failed to fetch ICM delivery latency'
+        });
+    }
+};
+
+/**
+ * Get messages that were sent but not delivered within the timeout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getPendingMessages = async (req, res) => {
+    try {
+        const timeoutMinutes = req.query.timeoutMinutes || config.teleporter.delivery.pendingTimeoutMinutes;
+        const limit = req.query.limit || 100;
+        const { sourceChainId, destinationChainId } = req.query;
+        const network = req.query.network || 'mainnet';
+
+        const result = await teleporterService.getPendingMessages({
+            timeoutMinutes,
+            sourceChainId,
+            destinationChainId,
+            limit,
+            network
+        });
+
+        res.json({
+            data: result.data,
+            metadata: {
+                network,
+                total: result.total,
+                count: result.data.length,
+                timeoutMinutes,
+                // Undelivered messages past the refresh horizon, no longer re-checked against Glacier
+                staleCount: result.stale,
+                maxAgeHours: config.teleporter.delivery.refreshMaxAgeHours,
+                updatedAt: new Date()
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching pending ICM messages:', {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            error: 'Failed to fetch pending ICM messages'
+        });
+    }
+};
+
+/**
+ * Get inbound/outbound ICM message stats for a single chain
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getChainTeleporterStats = async (req, res) => {
+    try {
+        const { chainId } = req.params;
+        const window = req.query.window || (req.query.from ? 'custom' : 'day');
+
+        // Resolve the window into a date range
+        const endDate = window === 'custom' && req.query.to ? new Date(req.query.to * 1000) : new Date();
+        let startDate;
+        if (window === 'custom') {
+            if (!req.query.from) {
+                return res.status(400).json({ error: 'A custom window requires a from timestamp' });
+            }
+            startDate = new Date(req.query.from * 1000);
+        } else {
+            const hours = window === 'week' ? 168 : 24;
+            startDate = new Date(endDate.getTime() - hours * 60 * 60 * 1000);
+        }
+
+        // Hourly points for windows up to two days, daily beyond that
+        const granularity = req.query.granularity ||
+            (endDate - startDate <= 48 * 60 * 60 * 1000 ? 'hour' : 'day');
+
+        const rangeError = validateSeriesRange(startDate, endDate, granularity);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        const network = req.query.network || 'mainnet';
+        const data = await teleporterService.getChainTeleporterStats(chainId, { startDate, endDate, granularity, network });
+
+        res.json({
+            data,
+            metadata: {
+                window,
+                network,
+                from: startDate,
+                to: endDate,
+                granularity,
+                updatedAt: new Date()
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching chain teleporter stats:', {
+            chainId: req.params.chainId,
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            error: 'Failed to fetch chain teleporter stats'
+        });
+    }
+};
+
+/**
+ * Get cross-chain message counts bucketed over an arbitrary time range
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMessageCountSeries = async (req, res) => {
+    try {
+        const endDate = req.query.to ? new Date(req.query.to * 1000) : new Date();
+        const startDate = req.query.from
+            ? new Date(req.query.from * 1000)
+            : new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+        const granularity = req.query.granularity || 'day';
+        const { sourceChainId, destinationChainId } = req.query;
+        const network = req.query.network || 'mainnet';
+
+        const rangeError = validateSeriesRange(startDate, endDate, granularity);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        const result = await teleporterService.getMessageCountSeries({
+            startDate,
+            endDate,
+            granularity,
+            sourceChainId,
+            destinationChainId,
+            network
+        });
+
+        sendSeries(req, res, {
+            json: {
+                data: result.series,
+                totals: result.totals,
+                metadata: {
+                    network,
+                    totalMessages: result.totalMessages,
+                    from: startDate,
+                    to: endDate,
+                    granularity,
+                    buckets: result.series.length,
+                    updatedAt: new Date()
+                }
+            },
+            // One row per bucket and chain pair for CSV/NDJSON exports
+            rows: () => result.series.flatMap(bucket => bucket.data.map(pair => ({
+                timestamp: bucket.timestamp,
+                date: bucket.date,
+                ...pair
+            }))),
+            columns: ['timestamp', 'date', 'sourceChain', 'destinationChain', 'sourceEvmChainId', 'destinationEvmChainId', 'messageCount'],
+            filename: `teleporter-message-count-${network}-${granularity}`
+        });
+    } catch (error) {
+        logger.error('Error fetching cross-chain message count series:', {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            error: 'Failed to fetch cross-chain message count series'
+        });
+    }
+};
+
+/**
+ * Get the ICM message flow as a graph of chains (nodes) and weighted directed edges
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.getMessageGraph = async (req, res) => {
+    try {
+        const endDate = req.query.to ? new Date(req.query.to * 1000) : new Date();
+        const startDate = req.query.from
+            ? new Date(req.query.from * 1000)
+            : new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+        const minWeight = req.query.minWeight || 1;
+        const network = req.query.network || 'mainnet';
+
+        const rangeError = validateSeriesRange(startDate, endDate);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        const graph = await teleporterService.getMessageGraph({ startDate, endDate, minWeight, network });
+
+        res.json({
+            data: {
+                nodes: graph.nodes,
+                edges: graph.edges
+            },
+            metadata: {
+                network,
+                totalMessages: graph.totalMessages,
+                nodeCount: graph.nodes.length,
+                edgeCount: graph.edges.length,
+                minWeight,
+                from: startDate,
+                to: endDate,
+                updatedAt: new Date()
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching cross-chain message graph:', {
+            error: error.message,
+            stack: error.stack
+        });
+        res.status(500).json({
+            error: 'Failed to fetch cross-chain message graph'
+        });
+    }
+};
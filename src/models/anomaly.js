@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Anomalies flagged in a chain's metric series (spikes, drops, stale data),
+// one document per chain, metric, type and data point
+const anomalySchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    required: true,
+    enum: ['tps', 'txCount']
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['spike', 'drop', 'drop_to_zero', 'stale']
+  },
+  severity: {
+    type: String,
+    required: true,
+    enum: ['low', 'medium', 'high']
+  },
+  // Timestamp of the data point that triggered the anomaly (latest point for stale series)
+  timestamp: {
+    type: Number,
+    required: true
+  },
+  // Observed value (hours since the latest point for stale series)
+  value: Number,
+  // Baseline the value was compared against
+  expected: Number,
+  stdDev: Number,
+  zScore: Number,
+  message: String,
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set once an ongoing condition (stale series, drop to zero) recovers
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Re-running detection over the same points must not create duplicates
+anomalySchema.index({ chainId: 1, metric: 1, type: 1, timestamp: 1 }, { unique: true });
+anomalySchema.index({ detectedAt: -1 });
+
+module.exports = mongoose.model('Anomaly', anomalySchema);
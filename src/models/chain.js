@@ -24,6 +24,20 @@ const chainSchema = new mongoose.Schema({
         description: String
     },
     chainLogoUri: String,
+    website: String,
+    socials: {
+        twitter: String,
+        discord: String,
+        telegram: String,
+        github: String
+    },
+    // Directory category slug and free-form tags (see utils/categories)
+    category: String,
+    tags: [String],
+    // Where each curated field came from: glacier, file or admin
+    fieldSources: mongoose.Schema.Types.Mixed,
+    // Curated fields as Glacier last reported them, restored when an override is removed
+    glacierValues: mongoose.Schema.Types.Mixed,
     private: Boolean,
     enabledFeatures: [String],
     validators: [{
@@ -37,6 +51,24 @@ const chainSchema = new mongoose.Schema({
         avalancheGoVersion: String
     }],
     lastUpdated: { type: Date, default: Date.now },
+    // Lifecycle: when the chain was first stored and last returned by Glacier.
+    // Chains Glacier stops returning are marked inactive until they reappear.
+    firstSeen: Date,
+    lastSeenInGlacier: Date,
+    lifecycleState: {
+        type: String,
+        enum: ['active', 'inactive'],
+        default: 'active'
+    },
+    inactiveSince: Date,
+    // Stored before its network's first full sync completed or before lifecycle tracking,
+    // so firstSeen isn't a launch date
+    initialImport: Boolean,
+    // When daily metric history older than regular ingestion was fetched for rollups
+    historyBackfilledAt: {
+        tps: Date,
+        txCount: Date
+    },
     tps: {
         value: Number,
         timestamp: Number,
@@ -48,6 +80,8 @@ const chainSchema = new mongoose.Schema({
 chainSchema.index({ chainId: 1 });
 chainSchema.index({ isTestnet: 1 });
 chainSchema.index({ status: 1 });
+chainSchema.index({ lifecycleState: 1, inactiveSince: -1 });
+chainSchema.index({ firstSeen: -1 });
 chainSchema.index({ 'validators.validationStatus': 1 });
 
 module.exports = mongoose.model('Chain', chainSchema);
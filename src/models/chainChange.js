@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Field-level change to a chain's metadata, one document per chain update
+// that changed something (or per chain first seen)
+const chainChangeSchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true
+  },
+  chainName: String,
+  network: {
+    type: String,
+    enum: ['mainnet', 'fuji'],
+    default: 'mainnet'
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['created', 'updated']
+  },
+  // Notable events derived from the changes, e.g. chain_launched or vm_migrated
+  events: [String],
+  changes: [{
+    _id: false,
+    field: String,
+    previous: mongoose.Schema.Types.Mixed,
+    current: mongoose.Schema.Types.Mixed,
+    // Registry source of the new value: glacier, file or admin
+    source: String
+  }],
+  // Chains stored before their network's first full sync completed aren't new launches
+  initialImport: {
+    type: Boolean,
+    default: false
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+chainChangeSchema.index({ chainId: 1, detectedAt: -1, _id: -1 });
+chainChangeSchema.index({ detectedAt: -1, _id: -1 });
+chainChangeSchema.index({ events: 1, detectedAt: -1 });
+
+module.exports = mongoose.model('ChainChange', chainChangeSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Generic per-chain metric points (gas used, active addresses, fees, ...),
+// one document per chain, metric and timestamp
+const chainMetricSchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Number,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index for efficient queries
+chainMetricSchema.index({ chainId: 1, metric: 1, timestamp: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChainMetric', chainMetricSchema);
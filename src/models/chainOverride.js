@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Admin-curated chain metadata, merged over Glacier data and the checked-in
+// registry file on every chain update
+const chainOverrideSchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fields: {
+    chainName: String,
+    chainLogoUri: String,
+    description: String,
+    website: String,
+    socials: {
+      twitter: String,
+      discord: String,
+      telegram: String,
+      github: String
+    },
+    category: String,
+    tags: [String],
+    rpcUrl: String,
+    wsUrl: String,
+    explorerUrl: String
+  },
+  // Why the override exists, e.g. a link to the team's announcement
+  note: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ChainOverride', chainOverrideSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Chain sync progress per network. Chains first stored before a network's
+// first full sync completes are part of its initial import, not new launches.
+const chainSyncStateSchema = new mongoose.Schema({
+  network: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ['mainnet', 'fuji']
+  },
+  firstSyncCompletedAt: Date,
+  lastSyncCompletedAt: Date
+});
+
+module.exports = mongoose.model('ChainSyncState', chainSyncStateSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Hourly cumulative transaction counts, kept apart from the daily collection
+// so existing daily queries and indexes are unaffected
+const cumulativeTxCountHourlySchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Number,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index for efficient queries
+cumulativeTxCountHourlySchema.index({ chainId: 1, timestamp: 1 }, { unique: true });
+
+module.exports = mongoose.model('CumulativeTxCountHourly', cumulativeTxCountHourlySchema);
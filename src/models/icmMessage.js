@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema for individual ICM (Teleporter) messages as returned by Glacier
+ * One document per message, keyed on messageId so re-ingestion is idempotent
+ */
+const icmMessageSchema = new mongoose.Schema({
+    // Glacier message ID (unique across all chains)
+    messageId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Avalanche network the message was ingested from (mainnet or fuji)
+    network: {
+        type: String,
+        default: 'mainnet'
+    },
+    // EVM chain IDs of the sending and receiving chains
+    sourceEvmChainId: {
+        type: String,
+        index: true
+    },
+    destinationEvmChainId: {
+        type: String,
+        index: true
+    },
+    // Avalanche blockchain IDs of the sending and receiving chains
+    sourceBlockchainId: String,
+    destinationBlockchainId: String,
+    // Transaction hashes on the source and destination chains
+    sourceTxHash: String,
+    destinationTxHash: String,
+    // Timestamps of the source and destination transactions
+    sourceTimestamp: Date,
+    destinationTimestamp: Date,
+    // Time used for windowing: source timestamp, or first ingestion time if unknown
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    // Delivery status reported by Glacier (e.g. delivered, pending)
+    status: {
+        type: String,
+        index: true
+    },
+    // Sender and recipient addresses
+    from: String,
+    to: String,
+    // When this message was first and last ingested
+    firstSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Compound indexes for windowed chain-pair queries
+icmMessageSchema.index({ timestamp: -1 });
+icmMessageSchema.index({ network: 1, timestamp: -1 });
+icmMessageSchema.index({ sourceEvmChainId: 1, destinationEvmChainId: 1, timestamp: -1 });
+
+module.exports = mongoose.model('IcmMessage', icmMessageSchema);
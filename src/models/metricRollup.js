@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Weekly and monthly summaries of a chain's daily TPS and transaction counts,
+// kept so long ranges stay cheap to serve after raw daily points are pruned
+const metricRollupSchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true
+  },
+  metric: {
+    type: String,
+    required: true,
+    enum: ['tps', 'txCount']
+  },
+  period: {
+    type: String,
+    required: true,
+    enum: ['week', 'month']
+  },
+  // Start of the period in seconds (weeks start on Monday, UTC)
+  periodStart: {
+    type: Number,
+    required: true
+  },
+  // Statistics over the daily values in the period
+  // (average TPS for tps, transactions per day for txCount)
+  avg: Number,
+  min: Number,
+  max: Number,
+  sum: Number,
+  count: Number,
+  // Cumulative transaction count at the end of the period (txCount only)
+  lastValue: Number,
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index for efficient queries
+metricRollupSchema.index({ chainId: 1, metric: 1, period: 1, periodStart: 1 }, { unique: true });
+
+module.exports = mongoose.model('MetricRollup', metricRollupSchema);
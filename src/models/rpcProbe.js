@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Result of one liveness probe against a chain's RPC endpoint
+const rpcProbeSchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true
+  },
+  rpcUrl: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  // Responded to both eth_blockNumber and eth_chainId
+  up: {
+    type: Boolean,
+    required: true
+  },
+  // Up and serving the expected chain
+  healthy: {
+    type: Boolean,
+    required: true
+  },
+  latencyMs: Number,
+  blockNumber: Number,
+  reportedChainId: Number,
+  expectedChainId: Number,
+  // Null when the chain's ID isn't a numeric EVM chain ID
+  chainIdMatches: Boolean,
+  error: String
+});
+
+rpcProbeSchema.index({ chainId: 1, timestamp: -1 });
+rpcProbeSchema.index({ timestamp: 1 });
+
+module.exports = mongoose.model('RpcProbe', rpcProbeSchema);
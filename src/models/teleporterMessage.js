@@ -10,16 +10,16 @@ const teleporterMessageSchema = new mongoose.Schema({
         default: Date.now,
         required: true
     },
-    // Array of message counts between chains
+    // Array of message counts between chains, keyed by EVM chain ID
+    // (names are resolved from the Chain collection at read time)
     messageCounts: [{
-        sourceChain: {
-            type: String,
-            required: true
-        },
-        destinationChain: {
-            type: String,
-            required: true
-        },
+        sourceEvmChainId: String,
+        destinationEvmChainId: String,
+        sourceBlockchainId: String,
+        destinationBlockchainId: String,
+        // Display names stored by older snapshots, kept for records that can't be migrated
+        sourceChain: String,
+        destinationChain: String,
         messageCount: {
             type: Number,
             required: true
@@ -42,23 +42,34 @@ const teleporterMessageSchema = new mongoose.Schema({
         enum: ['daily', 'weekly'],
         default: 'daily',
         required: true
+    },
+    // Avalanche network the snapshot covers (mainnet or fuji)
+    network: {
+        type: String,
+        default: 'mainnet'
     }
 });
 
 // Create a compound index for efficient querying
 teleporterMessageSchema.index({ updatedAt: -1, dataType: 1 });
+teleporterMessageSchema.index({ network: 1, dataType: 1, updatedAt: -1 });
 
 /**
  * Schema for tracking the state of weekly data updates
  */
 const teleporterUpdateStateSchema = new mongoose.Schema({
-    // Type of update (daily, weekly)
+    // Type of update (daily, weekly, or the incremental message ingestion)
     updateType: {
         type: String,
-        enum: ['daily', 'weekly'],
+        enum: ['daily', 'weekly', 'ingestion'],
         required: true,
         index: true
     },
+    // Avalanche network the update runs for (mainnet or fuji)
+    network: {
+        type: String,
+        default: 'mainnet'
+    },
     // Current state of the update
     state: {
         type: String,
@@ -114,6 +125,18 @@ const teleporterUpdateStateSchema = new mongoose.Schema({
             default: Date.now
         }
     },
+    // Incremental ingestion cursor (only used by the 'ingestion' update type)
+    cursor: {
+        // Newest message timestamp fully ingested
+        latestTimestamp: Date,
+        // Glacier pageToken to resume an ingestion run that hit the page limit
+        pageToken: String,
+        // Newest message timestamp seen by the interrupted run
+        pendingLatestTimestamp: Date,
+        // Query window (unix seconds) of the interrupted run, reused when resuming
+        windowStart: Number,
+        windowEnd: Number
+    },
     // Temporary storage for partial results
     partialResults: [{
         day: Number,
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Hourly TPS points, kept apart from the daily TPS collection so existing
+// daily queries and indexes are unaffected
+const tpsHourlySchema = new mongoose.Schema({
+  chainId: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Number,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Compound index for efficient queries
+tpsHourlySchema.index({ chainId: 1, timestamp: 1 }, { unique: true });
+
+module.exports = mongoose.model('TPSHourly', tpsHourlySchema);
@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const anomalyService = require('../services/anomalyService');
+const { validate, validators } = require('../utils/validationMiddleware');
+const logger = require('../utils/logger');
+
+// Read anomaly filters shared by both endpoints
+const getFilters = (query) => ({
+  metric: query.metric,
+  type: query.type,
+  severity: query.severity,
+  active: query.active === true,
+  days: query.days || 7,
+  limit: query.limit || 100
+});
+
+// Active anomalies aren't limited to the days window
+const getPeriod = (filters) => (filters.active ? 'active' : `${filters.days} days`);
+
+// Get recent anomalies across all chains
+// With active=true, every unresolved stale or drop_to_zero anomaly is returned and days is ignored
+router.get('/anomalies', validate(validators.getAnomalies), async (req, res) => {
+  try {
+    const filters = { ...getFilters(req.query), chainId: req.query.chainId };
+    const data = await anomalyService.getAnomalies(filters);
+    res.json({
+      success: true,
+      count: data.length,
+      period: getPeriod(filters),
+      data
+    });
+  } catch (error) {
+    logger.error('Anomalies Error:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get recent anomalies for a chain (same filters, including active=true ignoring days)
+router.get('/chains/:chainId/anomalies', validate(validators.getChainAnomalies), async (req, res) => {
+  try {
+    const { chainId } = req.params;
+    const filters = { ...getFilters(req.query), chainId };
+    const data = await anomalyService.getAnomalies(filters);
+    res.json({
+      success: true,
+      chainId,
+      count: data.length,
+      period: getPeriod(filters),
+      data
+    });
+  } catch (error) {
+    logger.error('Chain Anomalies Error:', { chainId: req.params.chainId, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,16 @@ const router = express.Router();
 const chainController = require('../controllers/chainController');
 const { validate, validators } = require('../utils/validationMiddleware');
 
-router.get('/chains', chainController.getAllChains);
+router.get('/chains', validate(validators.getAllChains), chainController.getAllChains);
+router.get('/categories', validate(validators.getCategories), chainController.getCategories);
+router.get('/compare', validate(validators.compareChains), chainController.compareChains);
+router.get('/chains/rankings', validate(validators.getChainRankings), chainController.getChainRankings);
+router.get('/chains/new', validate(validators.getNewChains), chainController.getNewChains);
+router.get('/chains/inactive', validate(validators.getInactiveChains), chainController.getInactiveChains);
+router.get('/chains/changes', validate(validators.getRecentChainChanges), chainController.getRecentChainChanges);
 router.get('/chains/:chainId', validate(validators.getChainById), chainController.getChainById);
+router.get('/chains/:chainId/history', validate(validators.getChainHistory), chainController.getChainHistory);
+router.get('/chains/:chainId/rpc-status', validate(validators.getRpcStatus), chainController.getRpcStatus);
 router.get('/chains/:chainId/validators', validate(validators.getChainValidators), chainController.getChainValidators);
 router.get('/chains/:chainId/validators/direct', validate(validators.getChainValidators), chainController.fetchValidatorsDirectly);
 
@@ -4,21 +4,32 @@ const tpsService = require('../services/tpsService');
 const Chain = require('../models/chain');
 const CumulativeTxCount = require('../models/cumulativeTxCount');
 const { validate, validators } = require('../utils/validationMiddleware');
+const { sendSeries, withIsoDate } = require('../utils/exportFormatter');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 
 // Get transaction count history for a chain
-router.get('/chains/:chainId/cumulativeTxCount/history', validate(validators.getChainIdParam), async (req, res) => {
+router.get('/chains/:chainId/cumulativeTxCount/history', validate(validators.getTxCountHistory), async (req, res) => {
   try {
     const { chainId } = req.params;
     const days = parseInt(req.query.days) || 30;
+    // Long ranges default to weekly or monthly rollups
+    const granularity = req.query.granularity || tpsService.getDefaultGranularity(days);
     
-    const data = await tpsService.getTxCountHistory(chainId, days);
-    res.json({
-      success: true,
-      chainId,
-      count: data.length,
-      data
+    const data = await tpsService.getTxCountHistory(chainId, days, granularity);
+    sendSeries(req, res, {
+      json: {
+        success: true,
+        chainId,
+        granularity,
+        count: data.length,
+        data
+      },
+      rows: () => data.map(withIsoDate),
+      columns: ['week', 'month'].includes(granularity)
+        ? ['timestamp', 'date', 'value', 'avg', 'min', 'max', 'sum', 'count']
+        : ['timestamp', 'date', 'value'],
+      filename: `cumulative-tx-count-${chainId}-${granularity}`
     });
   } catch (error) {
     logger.error('CumulativeTxCount History Error:', { chainId: req.params.chainId, error: error.message });
@@ -50,6 +61,61 @@ router.get('/chains/:chainId/cumulativeTxCount/latest', validate(validators.getC
   }
 });
 
+// Get daily transaction counts for a chain, derived from cumulative totals
+router.get('/chains/:chainId/txCount/daily', validate(validators.getDailyTxCount), async (req, res) => {
+  try {
+    const { chainId } = req.params;
+    const days = parseInt(req.query.days) || 30;
+
+    const data = await tpsService.getDailyTxCounts(chainId, days);
+    sendSeries(req, res, {
+      json: {
+        success: true,
+        chainId,
+        count: data.length,
+        data
+      },
+      rows: data,
+      columns: ['timestamp', 'date', 'txCount', 'estimated', 'counterReset'],
+      filename: `tx-count-daily-${chainId}`
+    });
+  } catch (error) {
+    logger.error('Daily TxCount Error:', { chainId: req.params.chainId, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get network-wide daily transaction counts
+router.get('/txCount/network/daily', validate(validators.getNetworkDailyTxCount), async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const network = req.query.network || 'mainnet';
+
+    const data = await tpsService.getNetworkDailyTxCounts(days, network);
+    sendSeries(req, res, {
+      json: {
+        success: true,
+        network,
+        data,
+        count: data.length,
+        period: `${days} days`
+      },
+      rows: data,
+      columns: ['timestamp', 'date', 'txCount', 'chainCount', 'estimatedChainCount'],
+      filename: `tx-count-${network}-daily`
+    });
+  } catch (error) {
+    logger.error('Network Daily TxCount Error:', { days: req.query.days, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Health check endpoint
 router.get('/cumulativeTxCount/health', async (req, res) => {
   try {
@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const tpsService = require('../services/tpsService');
+const { validate, validators } = require('../utils/validationMiddleware');
+const logger = require('../utils/logger');
+
+// Reject metric names that aren't registered in tpsService
+const requireKnownMetric = (req, res, next) => {
+  const metrics = tpsService.getMetricNames();
+  if (!metrics.includes(req.params.metric)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown metric ${req.params.metric}`,
+      availableMetrics: metrics
+    });
+  }
+  next();
+};
+
+// Get history for any registered metric of a chain
+router.get('/chains/:chainId/metrics/:metric/history', validate(validators.getMetricHistory), requireKnownMetric, async (req, res) => {
+  try {
+    const { chainId, metric } = req.params;
+    const days = parseInt(req.query.days) || 30;
+    const granularity = req.query.granularity || 'day';
+
+    if (!tpsService.getMetricSeries(metric, granularity)) {
+      return res.status(400).json({
+        success: false,
+        error: `Metric ${metric} is not available at ${granularity} granularity`
+      });
+    }
+
+    const data = await tpsService.getMetricHistory(chainId, metric, days, granularity);
+    res.json({
+      success: true,
+      chainId,
+      metric,
+      granularity,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    logger.error('Metric History Error:', { chainId: req.params.chainId, metric: req.params.metric, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get latest value of any registered metric for a chain
+router.get('/chains/:chainId/metrics/:metric/latest', validate(validators.getLatestMetric), requireKnownMetric, async (req, res) => {
+  try {
+    const { chainId, metric } = req.params;
+    const data = await tpsService.getLatestMetric(chainId, metric);
+    res.json({
+      success: true,
+      chainId,
+      metric,
+      data,
+      timestamp: data ? new Date(data.timestamp * 1000).toISOString() : null
+    });
+  } catch (error) {
+    logger.error('Latest Metric Error:', { chainId: req.params.chainId, metric: req.params.metric, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
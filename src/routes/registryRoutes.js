@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const chainRegistryService = require('../services/chainRegistryService');
+const { validate, validators } = require('../utils/validationMiddleware');
+const { requireAdminKey } = require('../utils/authMiddleware');
+const logger = require('../utils/logger');
+
+// List every curated chain with its file and admin overrides
+router.get('/admin/registry', requireAdminKey, async (req, res) => {
+  try {
+    const data = await chainRegistryService.getRegistry();
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    logger.error('Registry Error:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Re-read the checked-in overrides file and apply it to stored chains
+router.post('/admin/registry/reload', requireAdminKey, async (req, res) => {
+  try {
+    const result = await chainRegistryService.reload();
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Registry Reload Error:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get a chain's overrides and the source of each curated field
+router.get('/admin/registry/:chainId', requireAdminKey, validate(validators.getChainOverride), async (req, res) => {
+  try {
+    const data = await chainRegistryService.getChainRegistry(req.params.chainId);
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Chain Registry Error:', { chainId: req.params.chainId, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Replace a chain's admin override
+router.put('/admin/registry/:chainId', requireAdminKey, validate(validators.updateChainOverride), async (req, res) => {
+  try {
+    const { chainId } = req.params;
+    const { fields, note, updatedBy } = req.body;
+    const data = await chainRegistryService.setAdminOverride(chainId, { fields, note, updatedBy });
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Chain Override Update Error:', { chainId: req.params.chainId, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Remove a chain's admin override
+router.delete('/admin/registry/:chainId', requireAdminKey, validate(validators.getChainOverride), async (req, res) => {
+  try {
+    const { chainId } = req.params;
+    const deleted = await chainRegistryService.deleteAdminOverride(chainId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'No admin override for this chain'
+      });
+    }
+    res.json({
+      success: true,
+      chainId
+    });
+  } catch (error) {
+    logger.error('Chain Override Delete Error:', { chainId: req.params.chainId, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Set a chain's directory category and tags
+router.put('/admin/chains/:chainId/category', requireAdminKey, validate(validators.updateChainCategory), async (req, res) => {
+  try {
+    const { chainId } = req.params;
+    const { category, tags, updatedBy } = req.body;
+    const data = await chainRegistryService.setChainCategory(chainId, { category, tags, updatedBy });
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Chain Category Update Error:', { chainId: req.params.chainId, error: error.message });
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@ const { validate, validators } = require('../utils/validationMiddleware');
  * @route   GET /api/teleporter/messages/daily-count
  * @desc    Get daily cross-chain message count
  * @access  Public
+ * @query   network - mainnet or fuji (default: mainnet)
  */
 router.get('/teleporter/messages/daily-count', 
   validate(validators.getDailyCrossChainMessageCount), 
@@ -17,6 +18,7 @@ router.get('/teleporter/messages/daily-count',
  * @route   GET /api/teleporter/messages/weekly-count
  * @desc    Get weekly cross-chain message count (last 7 days)
  * @access  Public
+ * @query   network - mainnet or fuji (default: mainnet)
  */
 router.get('/teleporter/messages/weekly-count', 
   validate(validators.getWeeklyCrossChainMessageCount), 
@@ -27,10 +29,119 @@ router.get('/teleporter/messages/weekly-count',
  * @route   GET /api/teleporter/messages/historical-daily
  * @desc    Get historical daily cross-chain message counts for the past N days
  * @access  Public
+ * @query   days - Number of days (default: 30, max: 90)
+ * @query   format - json, csv or ndjson (default: from the Accept header, else json)
+ * @query   network - mainnet or fuji (default: mainnet)
  */
 router.get('/teleporter/messages/historical-daily',
   validate(validators.getHistoricalDailyData),
   teleporterController.getHistoricalDailyData
 );
 
+/**
+ * @route   GET /api/teleporter/messages/count
+ * @desc    Get cross-chain message counts per chain pair, bucketed over an arbitrary time range
+ * @access  Public
+ * @query   from - Start of range in unix seconds (default: 30 days before to)
+ * @query   to - End of range in unix seconds (default: now)
+ * @query   granularity - Bucket size: hour, day or week (default: day)
+ * @query   sourceChainId - Source EVM chain ID (optional)
+ * @query   destinationChainId - Destination EVM chain ID (optional)
+ * @query   format - json, csv or ndjson (default: from the Accept header, else json)
+ * @query   network - mainnet or fuji (default: mainnet)
+ */
+router.get('/teleporter/messages/count',
+  validate(validators.getTeleporterMessageCountSeries),
+  teleporterController.getMessageCountSeries
+);
+
+/**
+ * @route   GET /api/teleporter/messages
+ * @desc    List individual ICM messages, newest first, with cursor pagination
+ * @access  Public
+ * @query   sourceChainId - Source EVM chain ID (optional)
+ * @query   destinationChainId - Destination EVM chain ID (optional)
+ * @query   status - Delivery status, e.g. delivered or pending (optional)
+ * @query   from - Start of time range in unix seconds (optional)
+ * @query   to - End of time range in unix seconds (optional)
+ * @query   limit - Number of messages to return (default: 50, max: 200)
+ * @query   cursor - nextCursor from a previous response (optional)
+ * @query   network - mainnet or fuji (default: mainnet)
+ */
+router.get('/teleporter/messages',
+  validate(validators.getTeleporterMessages),
+  teleporterController.getMessages
+);
+
+/**
+ * @route   GET /api/teleporter/graph
+ * @desc    Get ICM flow as a graph: chain nodes (logo, total in/out, degree) and weighted directed edges
+ * @access  Public
+ * @query   from - Start of window in unix seconds (default: 7 days before to)
+ * @query   to - End of window in unix seconds (default: now)
+ * @query   minWeight - Drop edges with fewer messages than this (default: 1)
+ * @query   network - mainnet or fuji (default: mainnet)
+ */
+router.get('/teleporter/graph',
+  validate(validators.getTeleporterGraph),
+  teleporterController.getMessageGraph
+);
+
+/**
+ * @route   GET /api/teleporter/latency
+ * @desc    Get delivery latency stats (p50/p95/max) per chain pair
+ * @access  Public
+ * @query   hours - Window of sent messages in hours (default: 24, max: 720)
+ * @query   sourceChainId - Source EVM chain ID (optional)
+ * @query   destinationChainId - Destination EVM chain ID (optional)
+ * @query   network - mainnet or fuji (default: mainnet)
+ */
+router.get('/teleporter/latency',
+  validate(validators.getTeleporterLatency),
+  teleporterController.getDeliveryLatency
+);
+
+/**
+ * @route   GET /api/teleporter/pending
+ * @desc    Get messages sent but not delivered after a timeout, oldest first, within the refresh horizon (older ones are counted as stale)
+ * @access  Public
+ * @query   timeoutMinutes - Minutes after sending before a message counts as pending (optional)
+ * @query   sourceChainId - Source EVM chain ID (optional)
+ * @query   destinationChainId - Destination EVM chain ID (optional)
+ * @query   limit - Number of messages to return (default: 100, max: 500)
+ * @query   network - mainnet or fuji (default: mainnet)
+ */
+router.get('/teleporter/pending',
+  validate(validators.getTeleporterPending),
+  teleporterController.getPendingMessages
+);
+
+/**
+ * @route   GET /api/chains/:chainId/teleporter
+ * @desc    Get a chain's inbound and outbound ICM message counts by counterparty, plus a time series
+ * @access  Public
+ * @param   chainId - EVM chain ID
+ * @query   window - day, week or custom (default: day, or custom when from is given)
+ * @query   from - Start of a custom window in unix seconds
+ * @query   to - End of a custom window in unix seconds (default: now)
+ * @query   granularity - Time series bucket: hour, day or week (default: hour up to 48h, else day)
+ * @query   network - mainnet or fuji (default: mainnet)
+ */
+router.get('/chains/:chainId/teleporter',
+  validate(validators.getChainTeleporterStats),
+  teleporterController.getChainTeleporterStats
+);
+
+/**
+ * @route   GET /api/teleporter/messages/:messageId
+ * @desc    Get a single ICM message with its source and destination transactions
+ * @access  Public
+ * @query   network - mainnet or fuji (default: mainnet); a message stored under the other network is a 404
+ * @query   network - mainnet or fuji (default: mainnet)
+ */
+router.get('/teleporter/messages/:messageId',
+  validate(validators.getTeleporterMessageById),
+  teleporterController.getMessageById
+);
+
 module.exports = router; 
\ No newline at end of file
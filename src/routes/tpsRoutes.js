@@ -4,6 +4,7 @@ const tpsService = require('../services/tpsService');
 const Chain = require('../models/chain');
 const TPS = require('../models/tps');
 const { validate, validators } = require('../utils/validationMiddleware');
+const { sendSeries, withIsoDate } = require('../utils/exportFormatter');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 
@@ -12,12 +13,22 @@ router.get('/chains/:chainId/tps/history', validate(validators.getTpsHistory), a
   try {
     const { chainId } = req.params;
     const days = parseInt(req.query.days) || 30;
-    const data = await tpsService.getTpsHistory(chainId, days);
-    res.json({
-      success: true,
-      chainId,
-      count: data.length,
-      data
+    // Long ranges default to weekly or monthly rollups
+    const granularity = req.query.granularity || tpsService.getDefaultGranularity(days);
+    const data = await tpsService.getTpsHistory(chainId, days, granularity);
+    sendSeries(req, res, {
+      json: {
+        success: true,
+        chainId,
+        granularity,
+        count: data.length,
+        data
+      },
+      rows: () => data.map(withIsoDate),
+      columns: ['week', 'month'].includes(granularity)
+        ? ['timestamp', 'date', 'value', 'avg', 'min', 'max', 'sum', 'count']
+        : ['timestamp', 'date', 'value'],
+      filename: `tps-${chainId}-${granularity}`
     });
   } catch (error) {
     logger.error('TPS History Error:', { chainId: req.params.chainId, error: error.message });
@@ -49,11 +60,13 @@ router.get('/chains/:chainId/tps/latest', validate(validators.getLatestTps), asy
 });
 
 // Add new route for total network TPS
-router.get('/tps/network/latest', async (req, res) => {
+router.get('/tps/network/latest', validate(validators.getNetworkTps), async (req, res) => {
   try {
-    const data = await tpsService.getNetworkTps();
+    const network = req.query.network || 'mainnet';
+    const data = await tpsService.getNetworkTps(network);
     res.json({
       success: true,
+      network,
       data,
       timestamp: new Date().toISOString()
     });
@@ -67,15 +80,32 @@ router.get('/tps/network/latest', async (req, res) => {
 });
 
 // Add new route for historical network TPS
-router.get('/tps/network/history', async (req, res) => {
+router.get('/tps/network/history', validate(validators.getNetworkTpsHistory), async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 7;
-    const data = await tpsService.getNetworkTpsHistory(days);
-    res.json({
-      success: true,
-      data,
-      count: data.length,
-      period: `${days} days`
+    const granularity = req.query.granularity || 'day';
+    const network = req.query.network || 'mainnet';
+
+    if (granularity === 'hour' && days > 31) {
+      return res.status(400).json({
+        success: false,
+        error: 'Hourly granularity is limited to 31 days'
+      });
+    }
+
+    const data = await tpsService.getNetworkTpsHistory(days, granularity, network);
+    sendSeries(req, res, {
+      json: {
+        success: true,
+        network,
+        data,
+        count: data.length,
+        period: `${days} days`,
+        granularity
+      },
+      rows: data,
+      columns: ['timestamp', 'date', 'totalTps', 'chainCount', 'reportedChainCount', 'filledChainCount', 'isEstimated'],
+      filename: `tps-${network}-${granularity}`
     });
   } catch (error) {
     logger.error('Network TPS History Error:', { days: req.query.days, error: error.message });
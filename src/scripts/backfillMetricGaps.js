@@ -0,0 +1,124 @@
+/**
+ * Script to backfill missing TPS and cumulative transaction count data
+ * This script scans the TPS and CumulativeTxCount collections for days missing
+ * per chain and fetches them from the metrics API, using the same rate-limited
+ * queue as the scheduled updates.
+ *
+ * Usage: node src/scripts/backfillMetricGaps.js --days=90 --chain=43114 --metric=tps --dry-run=true --db=mongodb://localhost:27017/l1beat
+ */
+
+// Load environment variables first before other imports
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const tpsService = require('../services/tpsService');
+const logger = require('../utils/logger');
+
+// Parse command line arguments
+const args = process.argv.slice(2).reduce((result, arg) => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  result[key] = value === undefined ? 'true' : value;
+  return result;
+}, {});
+
+const days = parseInt(args.days || config.api.metrics.gapBackfill.lookbackDays);
+const chainIds = args.chain ? args.chain.split(',') : undefined; // Default: all chains
+const metrics = args.metric && args.metric !== 'all' ? args.metric.split(',') : ['tps', 'txCount'];
+const dryRun = args['dry-run'] === 'true';
+const dbUri = args.db; // Optional DB URI from command line
+
+/**
+ * Connect to the database
+ */
+async function connectDatabase() {
+  try {
+    // Use DB URI in this priority: command line arg > config
+    const connectionUri = dbUri || config.db.uri;
+
+    if (!connectionUri) {
+      logger.error('Database URI is undefined. Make sure your environment variables are set correctly.');
+      logger.info('You can specify the database URI directly: node src/scripts/backfillMetricGaps.js --days=90 --db=mongodb://localhost:27017/l1beat');
+      return false;
+    }
+
+    logger.info(`Connecting to database at ${connectionUri}`);
+    await mongoose.connect(connectionUri, config.db.options);
+    logger.info(`🗄️  Connected to database: ${mongoose.connection.db.databaseName}`);
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to connect to database:', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Format a day timestamp (seconds) as YYYY-MM-DD
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} Date string
+ */
+function formatDay(timestamp) {
+  return new Date(timestamp * 1000).toISOString().split('T')[0];
+}
+
+/**
+ * Main function to run the backfill
+ */
+async function main() {
+  try {
+    const unknownMetrics = metrics.filter(metric => !['tps', 'txCount'].includes(metric));
+    if (unknownMetrics.length > 0) {
+      logger.error(`Unknown metric(s): ${unknownMetrics.join(', ')}. Use tps, txCount or all.`);
+      process.exit(1);
+    }
+
+    const connected = await connectDatabase();
+    if (!connected) {
+      process.exit(1);
+    }
+
+    logger.info(`${dryRun ? '🔍 Scanning' : '🔧 Backfilling'} ${metrics.join(', ')} gaps over the last ${days} days for ${chainIds ? chainIds.join(', ') : 'all chains'}`);
+
+    const results = await tpsService.runGapBackfill({ chainIds, metrics, days, dryRun });
+
+    if (results.length === 0) {
+      logger.info(`No missing days found in the last ${days} days`);
+      await mongoose.connection.close();
+      return;
+    }
+
+    for (const result of results) {
+      const ranges = result.gaps
+        .map(gap => gap.start === gap.end ? formatDay(gap.start) : `${formatDay(gap.start)}..${formatDay(gap.end)}`)
+        .join(', ');
+      logger.info(`Chain ${result.chainId} ${result.metric}: ${result.missingDays} missing days (${ranges})${dryRun ? '' : `, filled ${result.filledDays}`}`);
+    }
+
+    const missingDays = results.reduce((sum, result) => sum + result.missingDays, 0);
+    const filledDays = results.reduce((sum, result) => sum + result.filledDays, 0);
+
+    if (dryRun) {
+      logger.info(`Scan complete. Found ${missingDays} missing days across ${results.length} series.`);
+    } else {
+      logger.info(`Backfill complete. Filled ${filledDays}/${missingDays} missing days across ${results.length} series.`);
+    }
+
+    await mongoose.connection.close();
+
+  } catch (error) {
+    logger.error('Error in backfill process:', { error: error.message, stack: error.stack });
+
+    // Ensure database connection is closed
+    try {
+      await mongoose.connection.close();
+    } catch (err) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
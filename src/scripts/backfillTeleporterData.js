@@ -3,7 +3,7 @@
  * This script analyzes the existing teleporter data and fills in gaps by fetching
  * historical data from the Glacier API for days that are missing.
  * 
- * Usage: node src/scripts/backfillTeleporterData.js --days=30 --db=mongodb://localhost:27017/l1beat
+ * Usage: node src/scripts/backfillTeleporterData.js --days=30 --network=fuji --db=mongodb://localhost:27017/l1beat
  */
 
 // Load environment variables first before other imports
@@ -15,6 +15,7 @@ const config = require('../config/config');
 const { TeleporterMessage } = require('../models/teleporterMessage');
 const teleporterService = require('../services/teleporterService');
 const logger = require('../utils/logger');
+const { getNetworkQuery } = require('../utils/network');
 
 // Parse command line arguments
 const args = process.argv.slice(2).reduce((result, arg) => {
@@ -24,6 +25,7 @@ const args = process.argv.slice(2).reduce((result, arg) => {
 }, {});
 
 const days = parseInt(args.days || 30);
+const network = args.network || 'mainnet';
 const dbUri = args.db; // Optional DB URI from command line
 
 /**
@@ -80,7 +82,8 @@ async function connectDatabase() {
 async function findMissingDates(days) {
   // Get all daily teleporter data
   const existingData = await TeleporterMessage.find({
-    dataType: 'daily'
+    dataType: 'daily',
+    ...getNetworkQuery(network)
   }).sort({ updatedAt: -1 });
   
   logger.info(`📊 Found ${existingData.length} existing daily records in database`);
@@ -161,7 +164,7 @@ async function backfillDateData(date) {
       pageCount++;
       
       const params = {
-        network: 'mainnet',
+        network,
         pageSize: 100
       };
       
@@ -233,6 +236,9 @@ async function backfillDateData(date) {
     
     logger.info(`Found ${allDayMessages.length} messages for ${date.toISOString().split('T')[0]}`);
     
+    // Keep the raw messages so the day can be drilled into later
+    await teleporterService.storeMessages(allDayMessages, network);
+    
     // Process the messages
     const processedData = await teleporterService.processMessages(allDayMessages);
     
@@ -246,7 +252,8 @@ async function backfillDateData(date) {
       messageCounts: processedData,
       totalMessages: allDayMessages.length,
       timeWindow: 24,
-      dataType: 'daily'
+      dataType: 'daily',
+      network
     });
     
     logger.info(`💾 About to save to database: ${mongoose.connection.db.databaseName} collection: ${TeleporterMessage.collection.name}`);
@@ -0,0 +1,177 @@
+/**
+ * Script to migrate teleporter snapshots from chain names to chain IDs
+ * Older TeleporterMessage documents store only the display names produced at
+ * write time. This script resolves each name back to its EVM chain ID (and
+ * blockchain ID) using the Chain collection, so history survives renames.
+ * Names it can't resolve are left as they are and reported.
+ *
+ * Usage: node src/scripts/migrateTeleporterChainIds.js --dry-run=true --db=mongodb://localhost:27017/l1beat
+ */
+
+// Load environment variables first before other imports
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const { TeleporterMessage } = require('../models/teleporterMessage');
+const Chain = require('../models/chain');
+const logger = require('../utils/logger');
+
+// Parse command line arguments
+const args = process.argv.slice(2).reduce((result, arg) => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  result[key] = value === undefined ? 'true' : value;
+  return result;
+}, {});
+
+const dryRun = args['dry-run'] === 'true';
+const dbUri = args.db; // Optional DB URI from command line
+
+/**
+ * Connect to the database
+ */
+async function connectDatabase() {
+  try {
+    // Use DB URI in this priority: command line arg > config
+    const connectionUri = dbUri || config.db.uri;
+
+    if (!connectionUri) {
+      logger.error('Database URI is undefined. Make sure your environment variables are set correctly.');
+      logger.info('You can specify the database URI directly: node src/scripts/migrateTeleporterChainIds.js --db=mongodb://localhost:27017/l1beat');
+      return false;
+    }
+
+    logger.info(`Connecting to database at ${connectionUri}`);
+    await mongoose.connect(connectionUri, config.db.options);
+    logger.info(`🗄️  Connected to database: ${mongoose.connection.db.databaseName}`);
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to connect to database:', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Build a lookup from chain name to chain IDs
+ * @returns {Promise<Object>} Mapping of chainName to { evmChainId, blockchainId }
+ */
+async function buildNameLookup() {
+  const chains = await Chain.find().select('chainId chainName platformChainId').lean();
+  const lookup = {};
+
+  for (const chain of chains) {
+    if (chain.chainName) {
+      lookup[chain.chainName] = {
+        evmChainId: chain.chainId,
+        blockchainId: chain.platformChainId
+      };
+    }
+  }
+
+  logger.info(`📊 Loaded ${Object.keys(lookup).length} chain names from the Chain collection`);
+  return lookup;
+}
+
+/**
+ * Resolve a stored chain name to chain IDs
+ * @param {string} name - Stored display name
+ * @param {Object} lookup - Mapping from buildNameLookup
+ * @returns {Object|null} { evmChainId, blockchainId } or null if unknown
+ */
+function resolveName(name, lookup) {
+  if (!name) return null;
+
+  if (lookup[name]) {
+    return lookup[name];
+  }
+
+  // Unknown chains were stored as "Chain {id}"
+  const match = name.match(/^Chain (\d+)$/);
+  if (match) {
+    return { evmChainId: match[1], blockchainId: undefined };
+  }
+
+  return null;
+}
+
+/**
+ * Main function to run the migration
+ */
+async function main() {
+  try {
+    const connected = await connectDatabase();
+    if (!connected) {
+      process.exit(1);
+    }
+
+    const lookup = await buildNameLookup();
+    const unresolved = {};
+    let documentsUpdated = 0;
+    let entriesMigrated = 0;
+
+    // Only documents with at least one entry still missing a chain ID
+    const cursor = TeleporterMessage.find({
+      messageCounts: { $elemMatch: { sourceEvmChainId: { $exists: false } } }
+    }).cursor();
+
+    for await (const doc of cursor) {
+      let changed = false;
+
+      for (const entry of doc.messageCounts) {
+        if (entry.sourceEvmChainId && entry.destinationEvmChainId) {
+          continue;
+        }
+
+        const source = resolveName(entry.sourceChain, lookup);
+        const destination = resolveName(entry.destinationChain, lookup);
+
+        if (!source) unresolved[entry.sourceChain] = (unresolved[entry.sourceChain] || 0) + 1;
+        if (!destination) unresolved[entry.destinationChain] = (unresolved[entry.destinationChain] || 0) + 1;
+
+        // Only migrate entries where both sides resolve, so a pair is never half-keyed
+        if (!source || !destination) {
+          continue;
+        }
+
+        entry.sourceEvmChainId = source.evmChainId;
+        entry.destinationEvmChainId = destination.evmChainId;
+        if (source.blockchainId) entry.sourceBlockchainId = source.blockchainId;
+        if (destination.blockchainId) entry.destinationBlockchainId = destination.blockchainId;
+        entriesMigrated++;
+        changed = true;
+      }
+
+      if (changed) {
+        documentsUpdated++;
+        if (!dryRun) {
+          await doc.save();
+        }
+        logger.info(`${dryRun ? '🔍 Would update' : '✅ Updated'} ${doc.dataType} snapshot from ${doc.updatedAt.toISOString()}`);
+      }
+    }
+
+    logger.info(`Migration ${dryRun ? 'dry run ' : ''}complete: ${entriesMigrated} chain pairs in ${documentsUpdated} snapshots`);
+
+    if (Object.keys(unresolved).length > 0) {
+      logger.warn('❌ Chain names that could not be resolved (left unchanged):', unresolved);
+    }
+
+    await mongoose.connection.close();
+
+  } catch (error) {
+    logger.error('Error in migration process:', { error: error.message, stack: error.stack });
+
+    // Ensure database connection is closed
+    try {
+      await mongoose.connection.close();
+    } catch (err) {
+      // Ignore
+    }
+
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,115 @@
+/**
+ * Script to probe chain RPC endpoints with eth_blockNumber and eth_chainId
+ * With --url the endpoint is probed directly and nothing is stored, which is
+ * handy against a local JSON-RPC stub server. Without it, stored chains are
+ * probed and the results saved, as the scheduled probes do.
+ *
+ * Usage: node src/scripts/probeRpc.js --url=http://127.0.0.1:8545 --chain-id=43114 --timeout=2000
+ *        node src/scripts/probeRpc.js --chain=43114,73772 --db=mongodb://localhost:27017/l1beat
+ */
+
+// Load environment variables first before other imports
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const config = require('../config/config');
+const Chain = require('../models/chain');
+const rpcProbeService = require('../services/rpcProbeService');
+const logger = require('../utils/logger');
+
+// Parse command line arguments
+const args = process.argv.slice(2).reduce((result, arg) => {
+  const [key, ...rest] = arg.replace(/^--/, '').split('=');
+  result[key] = rest.length === 0 ? 'true' : rest.join('=');
+  return result;
+}, {});
+
+const url = args.url;
+const expectedChainId = args['chain-id'] ? parseInt(args['chain-id']) : null;
+const timeout = parseInt(args.timeout || config.rpcProbe.timeout);
+const chainIds = args.chain ? args.chain.split(',') : undefined; // Default: all active chains
+const dbUri = args.db; // Optional DB URI from command line
+
+/**
+ * Connect to the database
+ */
+async function connectDatabase() {
+  try {
+    // Use DB URI in this priority: command line arg > config
+    const connectionUri = dbUri || config.db.uri;
+
+    if (!connectionUri) {
+      logger.error('Database URI is undefined. Make sure your environment variables are set correctly.');
+      logger.info('You can specify the database URI directly: node src/scripts/probeRpc.js --db=mongodb://localhost:27017/l1beat');
+      return false;
+    }
+
+    logger.info(`Connecting to database at ${connectionUri}`);
+    await mongoose.connect(connectionUri, config.db.options);
+    logger.info(`🗄️  Connected to database: ${mongoose.connection.db.databaseName}`);
+
+    return true;
+  } catch (error) {
+    logger.error('Failed to connect to database:', { error: error.message });
+    return false;
+  }
+}
+
+/**
+ * Probe stored chains and save the results
+ */
+async function probeStoredChains() {
+  if (!chainIds) {
+    const summary = await rpcProbeService.probeAllChains();
+    logger.info('RPC probes completed:', summary);
+    return summary.unhealthy === 0 && summary.failed === 0;
+  }
+
+  const chains = await Chain.find({ chainId: { $in: chainIds } }).select('chainId chainName rpcUrl').lean();
+  let allHealthy = true;
+
+  for (const chainId of chainIds) {
+    const chain = chains.find(c => c.chainId === chainId);
+    if (!chain || !chain.rpcUrl) {
+      logger.warn(`Chain ${chainId} not found or has no RPC URL, skipping`);
+      allHealthy = false;
+      continue;
+    }
+
+    const probe = await rpcProbeService.probeChain(chain);
+    logger.info(`Chain ${chainId} (${chain.chainName}):`, probe);
+    allHealthy = allHealthy && probe.healthy;
+  }
+
+  return allHealthy;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  let healthy;
+
+  if (url) {
+    const result = await rpcProbeService.probeRpc(url, expectedChainId, { timeout });
+    console.log(JSON.stringify(result, null, 2));
+    healthy = result.healthy;
+  } else {
+    if (!(await connectDatabase())) {
+      process.exit(1);
+    }
+    try {
+      healthy = await probeStoredChains();
+    } finally {
+      await mongoose.disconnect();
+    }
+  }
+
+  // Non-zero exit when any endpoint is down or serving the wrong chain
+  process.exit(healthy ? 0 : 2);
+}
+
+main().catch(error => {
+  logger.error('RPC probe failed:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
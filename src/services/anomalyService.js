@@ -0,0 +1,227 @@
+const Anomaly = require('../models/anomaly');
+const TPS = require('../models/tps');
+const CumulativeTxCount = require('../models/cumulativeTxCount');
+const tpsService = require('./tpsService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// Anomaly types that describe an ongoing condition and can later recover
+const ONGOING_TYPES = ['stale', 'drop_to_zero'];
+
+class AnomalyService {
+  /**
+   * Loads a chain's recent series for a metric as { timestamp, value } points, oldest first
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - 'tps' or 'txCount'
+   * @returns {Promise<Object>} - { points, latestTimestamp } where latestTimestamp is the newest raw point
+   */
+  async getSeries(chainId, metric) {
+    const { lookbackDays } = config.anomalies;
+    // One extra day as the baseline for the first tx count delta
+    const since = Math.floor(Date.now() / 1000) - ((lookbackDays + 1) * 24 * 60 * 60);
+
+    const Model = metric === 'tps' ? TPS : CumulativeTxCount;
+    const raw = await Model.find({ chainId, timestamp: { $gte: since } })
+      .sort({ timestamp: 1 })
+      .select('-_id timestamp value')
+      .lean();
+
+    const latestTimestamp = raw.length > 0 ? raw[raw.length - 1].timestamp : null;
+
+    if (metric === 'tps') {
+      return { points: raw, latestTimestamp };
+    }
+
+    // Compare daily volumes; gap-filled and reset days carry no reliable signal
+    const points = tpsService.deriveDailyTxCounts(raw)
+      .filter(point => !point.estimated && !point.counterReset)
+      .map(point => ({ timestamp: point.timestamp, value: point.txCount }));
+
+    return { points, latestTimestamp };
+  }
+
+  /**
+   * Mean and standard deviation of a list of values
+   * @param {Array<number>} values - Values to summarize
+   * @returns {Object} - { mean, stdDev }
+   */
+  getBaseline(values) {
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+    return { mean, stdDev: Math.sqrt(variance) };
+  }
+
+  /**
+   * Checks the latest points of a series against the points before them
+   * @param {Array} points - { timestamp, value } points, oldest first
+   * @returns {Array} - Anomalies found (without chainId/metric)
+   */
+  detectPointAnomalies(points) {
+    const { minBaselinePoints, evaluatePoints, zScoreThreshold } = config.anomalies;
+    const anomalies = [];
+    const firstEvaluated = Math.max(minBaselinePoints, points.length - evaluatePoints);
+
+    for (let i = firstEvaluated; i < points.length; i++) {
+      const point = points[i];
+      const { mean, stdDev } = this.getBaseline(points.slice(0, i).map(p => p.value));
+
+      if (point.value === 0 && mean > 0) {
+        anomalies.push({
+          type: 'drop_to_zero',
+          severity: 'high',
+          timestamp: point.timestamp,
+          value: point.value,
+          expected: mean,
+          stdDev,
+          message: `Dropped to zero from an average of ${mean.toFixed(2)}`
+        });
+        continue;
+      }
+
+      // A flat baseline gives no scale to judge deviations against
+      if (stdDev === 0) continue;
+
+      const zScore = (point.value - mean) / stdDev;
+      const magnitude = Math.abs(zScore);
+      if (magnitude < zScoreThreshold) continue;
+
+      let severity = 'low';
+      if (magnitude >= zScoreThreshold * 2) {
+        severity = 'high';
+      } else if (magnitude >= zScoreThreshold * 1.5) {
+        severity = 'medium';
+      }
+
+      anomalies.push({
+        type: zScore > 0 ? 'spike' : 'drop',
+        severity,
+        timestamp: point.timestamp,
+        value: point.value,
+        expected: mean,
+        stdDev,
+        zScore: parseFloat(zScore.toFixed(2)),
+        message: `${zScore > 0 ? 'Spike' : 'Drop'} to ${point.value} against an average of ${mean.toFixed(2)} (z=${zScore.toFixed(2)})`
+      });
+    }
+
+    return anomalies;
+  }
+
+  /**
+   * Scans a chain's TPS and tx count series and stores any anomalies found.
+   * Errors are logged rather than thrown so one chain can't stop a scheduled run.
+   * @param {string} chainId - The chain ID
+   * @returns {Promise<number>} - Number of anomalies found
+   */
+  async detectForChain(chainId) {
+    let found = 0;
+
+    for (const metric of ['tps', 'txCount']) {
+      try {
+        const { points, latestTimestamp } = await this.getSeries(chainId, metric);
+        if (latestTimestamp === null) continue;
+
+        const anomalies = this.detectPointAnomalies(points);
+        const now = Math.floor(Date.now() / 1000);
+        const ageHours = (now - latestTimestamp) / 3600;
+        const { staleHours } = config.anomalies;
+
+        if (ageHours > staleHours) {
+          anomalies.push({
+            type: 'stale',
+            severity: ageHours > staleHours * 2 ? 'high' : 'medium',
+            timestamp: latestTimestamp,
+            value: Math.round(ageHours),
+            message: `No new ${metric} data for ${Math.round(ageHours)} hours`
+          });
+        } else {
+          await this.resolveAnomalies(chainId, metric, 'stale');
+        }
+
+        const latestPoint = points[points.length - 1];
+        if (latestPoint && latestPoint.value > 0) {
+          await this.resolveAnomalies(chainId, metric, 'drop_to_zero');
+        }
+
+        if (anomalies.length > 0) {
+          await Anomaly.bulkWrite(anomalies.map(anomaly => ({
+            updateOne: {
+              filter: { chainId, metric, type: anomaly.type, timestamp: anomaly.timestamp },
+              update: {
+                // Stale anomalies escalate in place as the series stays silent
+                $set: { ...anomaly, chainId, metric },
+                $setOnInsert: { detectedAt: new Date() }
+              },
+              upsert: true
+            }
+          })));
+
+          logger.warn(`[Anomaly] ${anomalies.length} ${metric} anomalies for chain ${chainId}`, {
+            types: anomalies.map(a => a.type)
+          });
+          found += anomalies.length;
+        }
+      } catch (error) {
+        logger.error(`[Anomaly] Detection failed for chain ${chainId} ${metric}:`, { error: error.message });
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Marks open anomalies of a type as resolved once the condition has cleared
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - 'tps' or 'txCount'
+   * @param {string} type - Ongoing anomaly type
+   */
+  async resolveAnomalies(chainId, metric, type) {
+    const result = await Anomaly.updateMany(
+      { chainId, metric, type, resolvedAt: null },
+      { $set: { resolvedAt: new Date() } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(`[Anomaly] Resolved ${result.modifiedCount} ${type} ${metric} anomalies for chain ${chainId}`);
+    }
+  }
+
+  /**
+   * Lists stored anomalies, newest first
+   * @param {Object} options - Filters
+   * @param {string} [options.chainId] - Only this chain
+   * @param {string} [options.metric] - Only this metric
+   * @param {string} [options.type] - Only this anomaly type
+   * @param {string} [options.severity] - Only this severity
+   * @param {boolean} [options.active] - Only ongoing conditions that haven't recovered, however long ago they were detected
+   * @param {number} [options.days] - Only anomalies detected in the last N days (ignored with active)
+   * @param {number} [options.limit] - Maximum number of anomalies
+   * @returns {Promise<Array>} - Anomalies
+   */
+  async getAnomalies({ chainId, metric, type, severity, active, days = 7, limit = 100 } = {}) {
+    const query = {};
+
+    // An ongoing anomaly keeps its first detection time, so the window would hide the longest-running ones
+    if (!active) {
+      query.detectedAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    }
+
+    if (chainId) query.chainId = chainId;
+    if (metric) query.metric = metric;
+    if (severity) query.severity = severity;
+    if (type) query.type = type;
+
+    if (active) {
+      query.resolvedAt = null;
+      if (!type) query.type = { $in: ONGOING_TYPES };
+    }
+
+    return Anomaly.find(query)
+      .sort({ detectedAt: -1, timestamp: -1 })
+      .limit(limit)
+      .select('-_id -__v')
+      .lean();
+  }
+}
+
+module.exports = new AnomalyService();
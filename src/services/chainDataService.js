@@ -1,6 +1,7 @@
 const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { getEnabledNetworks, getChainNetwork } = require('../utils/network');
 
 class ChainDataService {
     constructor() {
@@ -58,8 +59,11 @@ class ChainDataService {
                 throw new Error('Invalid response from Glacier API');
             }
             
-            const chains = response.data.chains.filter(chain => !chain.isTestnet);
-            logger.info(`Filtered ${chains.length} non-testnet chains`);
+            const networks = getEnabledNetworks();
+            const chains = response.data.chains.filter(chain => networks.includes(getChainNetwork(chain)));
+            logger.info(`Filtered ${chains.length} chains on ${networks.join(', ')}`, {
+                testnetChains: chains.filter(chain => chain.isTestnet).length
+            });
             
             return chains;
             
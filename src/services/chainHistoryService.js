@@ -0,0 +1,263 @@
+const ChainChange = require('../models/chainChange');
+const Chain = require('../models/chain');
+const ChainSyncState = require('../models/chainSyncState');
+const logger = require('../utils/logger');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { getChainNetwork } = require('../utils/network');
+
+// Chain fields whose changes are recorded (nested fields as dotted paths)
+const TRACKED_FIELDS = [
+  'chainName',
+  'status',
+  'description',
+  'platformChainId',
+  'subnetId',
+  'vmId',
+  'vmName',
+  'rpcUrl',
+  'wsUrl',
+  'explorerUrl',
+  'isTestnet',
+  'private',
+  'chainLogoUri',
+  'enabledFeatures',
+  'utilityAddresses.multicall',
+  'networkToken.name',
+  'networkToken.symbol',
+  'networkToken.decimals',
+  'networkToken.logoUri',
+  'networkToken.description',
+  'website',
+  'socials.twitter',
+  'socials.discord',
+  'socials.telegram',
+  'socials.github',
+  'category',
+  'tags',
+  'lifecycleState'
+];
+
+// Events raised when any of their fields change
+const EVENT_FIELDS = {
+  vm_migrated: ['vmId', 'vmName'],
+  subnet_changed: ['subnetId', 'platformChainId'],
+  status_changed: ['status'],
+  rpc_changed: ['rpcUrl', 'wsUrl'],
+  token_changed: ['networkToken.name', 'networkToken.symbol', 'networkToken.decimals'],
+  renamed: ['chainName'],
+  lifecycle_changed: ['lifecycleState']
+};
+
+class ChainHistoryService {
+  /**
+   * Reads a tracked field, treating empty values as null so they compare equal
+   * @param {Object} chain - Chain document (plain object)
+   * @param {string} field - Field name or dotted path
+   * @returns {*} - Field value or null
+   */
+  getFieldValue(chain, field) {
+    const value = field.split('.').reduce((object, key) => (object == null ? undefined : object[key]), chain);
+
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (Array.isArray(value)) {
+      return value.length > 0 ? [...value].sort() : null;
+    }
+    return value;
+  }
+
+  /**
+   * Field-level differences between two versions of a chain
+   * @param {Object} previous - Stored chain before the update
+   * @param {Object} current - Chain after the update
+   * @returns {Array} - { field, previous, current, source } for each changed field
+   */
+  diffChains(previous, current) {
+    const sources = current.fieldSources || {};
+
+    return TRACKED_FIELDS
+      .map(field => ({
+        field,
+        previous: this.getFieldValue(previous, field),
+        current: this.getFieldValue(current, field)
+      }))
+      .filter(change => JSON.stringify(change.previous) !== JSON.stringify(change.current))
+      .map(change => ({
+        ...change,
+        source: this.getFieldValue(sources, change.field) || 'glacier'
+      }));
+  }
+
+  /**
+   * Notable events for a set of changes
+   * @param {Array} changes - Changed fields
+   * @returns {Array<string>} - Event names (metadata_updated when nothing notable changed)
+   */
+  getEvents(changes) {
+    const changedFields = new Set(changes.map(change => change.field));
+    const events = Object.keys(EVENT_FIELDS)
+      .filter(event => EVENT_FIELDS[event].some(field => changedFields.has(field)));
+
+    return events.length > 0 ? events : ['metadata_updated'];
+  }
+
+  /**
+   * Whether chains first stored now on a network are part of its initial import
+   * True until a full sync of the network has completed, so enabling a network
+   * (or starting from an empty database) doesn't report every chain as launched.
+   * @param {string} network - mainnet or fuji
+   * @returns {Promise<boolean>}
+   */
+  async isInitialImport(network) {
+    const synced = await ChainSyncState.exists({ network, firstSyncCompletedAt: { $ne: null } });
+    return !synced;
+  }
+
+  /**
+   * Records that a full chain sync of a network has completed
+   * @param {string} network - mainnet or fuji
+   * @returns {Promise<void>}
+   */
+  async markSyncCompleted(network) {
+    const now = new Date();
+    await ChainSyncState.updateOne(
+      { network },
+      { $set: { lastSyncCompletedAt: now }, $setOnInsert: { firstSyncCompletedAt: now } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Records what changed in a chain update. Errors are logged rather than thrown
+   * so history can't block chain updates.
+   * @param {Object|null} previous - Stored chain before the update, or null if it's new
+   * @param {Object} current - Chain after the update; new chains carry their initialImport flag
+   * @returns {Promise<Object|null>} - The change recorded, or null if nothing changed
+   */
+  async recordChanges(previous, current) {
+    const { chainId } = current;
+
+    try {
+      const initialImport = !previous && current.initialImport === true;
+      const base = {
+        chainId,
+        chainName: current.chainName,
+        network: getChainNetwork(current)
+      };
+
+      if (!previous) {
+        const change = await ChainChange.create({
+          ...base,
+          type: 'created',
+          events: initialImport ? [] : ['chain_launched'],
+          initialImport
+        });
+        if (!initialImport) {
+          logger.info(`[Chain History] New chain ${chainId} (${current.chainName})`);
+        }
+        return change;
+      }
+
+      const changes = this.diffChains(previous, current);
+      if (changes.length === 0) {
+        return null;
+      }
+
+      const events = this.getEvents(changes);
+      logger.info(`[Chain History] ${changes.length} fields changed for chain ${chainId}`, {
+        fields: changes.map(change => change.field),
+        events
+      });
+
+      return await ChainChange.create({ ...base, type: 'updated', events, changes });
+    } catch (error) {
+      logger.error(`[Chain History] Failed to record changes for chain ${chainId}:`, { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * One page of changes, newest first
+   * @param {Object} query - Mongo query
+   * @param {number} limit - Page size
+   * @param {string} [cursor] - Cursor from a previous page
+   * @returns {Promise<Object>} - { data, nextCursor, hasMore }
+   */
+  async findPage(query, limit, cursor) {
+    if (cursor) {
+      const { t, id } = decodeCursor(cursor);
+      const cursorTime = new Date(t);
+      if (!/^[a-f0-9]{24}$/.test(String(id)) || isNaN(cursorTime.getTime())) {
+        throw new Error('Invalid cursor');
+      }
+      query.$or = [
+        { detectedAt: { $lt: cursorTime } },
+        { detectedAt: cursorTime, _id: { $lt: id } }
+      ];
+    }
+
+    const changes = await ChainChange.find(query)
+      .sort({ detectedAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .select('-__v')
+      .lean();
+
+    const hasMore = changes.length > limit;
+    const page = hasMore ? changes.slice(0, limit) : changes;
+    const last = page[page.length - 1];
+
+    return {
+      data: page.map(({ _id, ...change }) => change),
+      nextCursor: hasMore && last
+        ? encodeCursor({ t: new Date(last.detectedAt).getTime(), id: String(last._id) })
+        : null,
+      hasMore
+    };
+  }
+
+  /**
+   * A chain's change history, newest first
+   * @param {string} chainId - The chain ID
+   * @param {Object} options - Filters
+   * @param {string} [options.field] - Only changes to this field
+   * @param {number} [options.limit] - Page size
+   * @param {string} [options.cursor] - Cursor from a previous page
+   * @returns {Promise<Object>} - { data, nextCursor, hasMore }
+   * @throws {Error} 'Chain not found' if the chain is unknown
+   */
+  async getChainHistory(chainId, { field, limit = 50, cursor } = {}) {
+    const query = { chainId };
+    if (field) query['changes.field'] = field;
+
+    const page = await this.findPage(query, limit, cursor);
+    if (!cursor && page.data.length === 0 && !(await Chain.exists({ chainId }))) {
+      throw new Error('Chain not found');
+    }
+    return page;
+  }
+
+  /**
+   * Recent changes across all chains, newest first
+   * Chains stored before their network's first full sync completed are left out.
+   * @param {Object} options - Filters
+   * @param {number} [options.days] - Only changes detected in the last N days
+   * @param {string} [options.event] - Only changes raising this event
+   * @param {string} [options.network] - mainnet or fuji
+   * @param {number} [options.limit] - Page size
+   * @param {string} [options.cursor] - Cursor from a previous page
+   * @returns {Promise<Object>} - { data, nextCursor, hasMore }
+   */
+  async getRecentChanges({ days = 30, event, network = 'mainnet', limit = 50, cursor } = {}) {
+    const query = {
+      network,
+      initialImport: { $ne: true },
+      detectedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    };
+    if (event) query.events = event;
+
+    return this.findPage(query, limit, cursor);
+  }
+}
+
+module.exports = new ChainHistoryService();
@@ -0,0 +1,311 @@
+const fs = require('fs');
+const ChainOverride = require('../models/chainOverride');
+const Chain = require('../models/chain');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const cacheManager = require('../utils/cacheManager');
+const chainHistoryService = require('./chainHistoryService');
+const { NETWORKS } = require('../utils/network');
+const { normalizeTags } = require('../utils/categories');
+
+// Chain fields the registry may curate
+const CURATED_FIELDS = [
+  'chainName',
+  'chainLogoUri',
+  'description',
+  'website',
+  'socials',
+  'category',
+  'tags',
+  'rpcUrl',
+  'wsUrl',
+  'explorerUrl'
+];
+
+const SOCIAL_PLATFORMS = ['twitter', 'discord', 'telegram', 'github'];
+
+const isSet = (value) => value !== undefined && value !== null && value !== ''
+  && !(Array.isArray(value) && value.length === 0);
+
+class ChainRegistryService {
+  constructor() {
+    this.fileOverrides = null;
+  }
+
+  /**
+   * Keeps only curated fields with a value, so partial overrides leave the rest alone
+   * @param {Object} fields - Raw override fields
+   * @returns {Object} - Curated fields
+   */
+  pickCuratedFields(fields = {}) {
+    const picked = {};
+
+    for (const field of CURATED_FIELDS) {
+      if (field === 'socials') {
+        const socials = {};
+        for (const platform of SOCIAL_PLATFORMS) {
+          if (isSet(fields.socials?.[platform])) {
+            socials[platform] = fields.socials[platform];
+          }
+        }
+        if (Object.keys(socials).length > 0) {
+          picked.socials = socials;
+        }
+      } else if (field === 'tags') {
+        const tags = normalizeTags(fields.tags);
+        if (tags.length > 0) {
+          picked.tags = tags;
+        }
+      } else if (isSet(fields[field])) {
+        picked[field] = fields[field];
+      }
+    }
+
+    return picked;
+  }
+
+  /**
+   * Re-reads the checked-in overrides file
+   * A missing or invalid file keeps the previously loaded overrides so a bad
+   * edit can't wipe curated data from every chain.
+   * @returns {Object} - Overrides keyed by chain ID
+   */
+  reloadFileOverrides() {
+    const { overridesFile } = config.registry;
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(overridesFile, 'utf8'));
+      this.fileOverrides = Object.fromEntries(
+        Object.entries(raw).map(([chainId, fields]) => [chainId, this.pickCuratedFields(fields)])
+      );
+      logger.info(`[Registry] Loaded overrides for ${Object.keys(this.fileOverrides).length} chains from ${overridesFile}`);
+    } catch (error) {
+      logger.error(`[Registry] Failed to load overrides file ${overridesFile}:`, { error: error.message });
+      this.fileOverrides = this.fileOverrides || {};
+    }
+
+    return this.fileOverrides;
+  }
+
+  /**
+   * Overrides from the checked-in file, loaded on first use
+   * @returns {Object} - Overrides keyed by chain ID
+   */
+  getFileOverrides() {
+    return this.fileOverrides || this.reloadFileOverrides();
+  }
+
+  /**
+   * Merges curated layers over Glacier data, later layers winning field by field
+   * Socials merge per platform. Curated fields nobody provides are set to null so
+   * a removed override doesn't linger on the stored chain.
+   * @param {Object} chainData - Glacier chain data
+   * @param {Array} layers - [source, fields] pairs, lowest priority first
+   * @returns {Object} - { data, fieldSources }
+   */
+  mergeFields(chainData, layers) {
+    const data = { ...chainData };
+    const fieldSources = { socials: {} };
+    const socials = {};
+
+    for (const [source, fields] of [['glacier', this.pickCuratedFields(chainData)], ...layers]) {
+      if (!fields) continue;
+
+      for (const [field, value] of Object.entries(fields)) {
+        if (field === 'socials') {
+          for (const [platform, url] of Object.entries(value)) {
+            socials[platform] = url;
+            fieldSources.socials[platform] = source;
+          }
+        } else {
+          data[field] = value;
+          fieldSources[field] = source;
+        }
+      }
+    }
+
+    for (const field of CURATED_FIELDS) {
+      if (field !== 'socials' && !fieldSources[field]) {
+        data[field] = field === 'tags' ? [] : null;
+      }
+    }
+    data.socials = socials;
+
+    return { data, fieldSources };
+  }
+
+  /**
+   * Applies file and admin overrides to chain data fetched from Glacier
+   * @param {Object} chainData - Glacier chain data
+   * @returns {Promise<Object>} - { data, fieldSources }
+   */
+  async applyOverrides(chainData) {
+    const chainId = String(chainData.chainId);
+    const adminOverride = await ChainOverride.findOne({ chainId }).lean();
+
+    return this.mergeFields(chainData, [
+      ['file', this.getFileOverrides()[chainId]],
+      ['admin', adminOverride && this.pickCuratedFields(adminOverride.fields)]
+    ]);
+  }
+
+  /**
+   * Re-merges overrides into a stored chain without waiting for the next Glacier update
+   * The merge starts from the Glacier values stored with the chain, so a removed
+   * override falls back to what Glacier last reported. Chains stored before those
+   * values were kept only have the fields currently sourced from Glacier until
+   * their next Glacier update.
+   * @param {string} chainId - The chain ID
+   * @returns {Promise<Object|null>} - Updated chain, or null if the chain isn't stored yet
+   */
+  async refreshChain(chainId) {
+    const chain = await Chain.findOne({ chainId }).lean();
+    if (!chain) {
+      return null;
+    }
+
+    let glacierData = { chainId, ...chain.glacierValues };
+    if (!chain.glacierValues) {
+      const sources = chain.fieldSources || {};
+      glacierData = { chainId };
+      for (const field of CURATED_FIELDS) {
+        if (field !== 'socials' && sources[field] === 'glacier') {
+          glacierData[field] = chain[field];
+        }
+      }
+    }
+
+    const { data, fieldSources } = await this.applyOverrides(glacierData);
+    const update = { fieldSources };
+    for (const field of CURATED_FIELDS) {
+      update[field] = data[field];
+    }
+
+    const updatedChain = await Chain.findOneAndUpdate({ chainId }, update, { new: true });
+    await chainHistoryService.recordChanges(chain, updatedChain.toObject());
+
+    cacheManager.delete(`chain_${chainId}`);
+    NETWORKS.forEach(network => {
+      cacheManager.delete(`all_chains_${network}`);
+      cacheManager.delete(`chain_categories_${network}`);
+    });
+
+    return updatedChain;
+  }
+
+  /**
+   * Lists every curated chain with its file and admin overrides
+   * @returns {Promise<Array>} - Entries sorted by chain ID
+   */
+  async getRegistry() {
+    const fileOverrides = this.getFileOverrides();
+    const adminOverrides = await ChainOverride.find().select('-_id -__v').lean();
+    const adminByChain = new Map(adminOverrides.map(override => [override.chainId, override]));
+
+    const chainIds = new Set([...Object.keys(fileOverrides), ...adminByChain.keys()]);
+
+    return Array.from(chainIds)
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(chainId => ({
+        chainId,
+        file: fileOverrides[chainId] || null,
+        admin: adminByChain.get(chainId) || null
+      }));
+  }
+
+  /**
+   * File and admin overrides for one chain, with the sources currently applied
+   * @param {string} chainId - The chain ID
+   * @returns {Promise<Object>} - { chainId, file, admin, fieldSources }
+   */
+  async getChainRegistry(chainId) {
+    const [adminOverride, chain] = await Promise.all([
+      ChainOverride.findOne({ chainId }).select('-_id -__v').lean(),
+      Chain.findOne({ chainId }).select('fieldSources').lean()
+    ]);
+
+    return {
+      chainId,
+      file: this.getFileOverrides()[chainId] || null,
+      admin: adminOverride,
+      fieldSources: chain?.fieldSources || null
+    };
+  }
+
+  /**
+   * Replaces a chain's admin override and applies it to the stored chain
+   * @param {string} chainId - The chain ID
+   * @param {Object} override - { fields, note, updatedBy }
+   * @returns {Promise<Object>} - The saved override
+   */
+  async setAdminOverride(chainId, { fields, note, updatedBy }) {
+    const override = await ChainOverride.findOneAndUpdate(
+      { chainId },
+      { fields: this.pickCuratedFields(fields), note: note || null, updatedBy: updatedBy || null },
+      { upsert: true, new: true }
+    ).select('-_id -__v').lean();
+
+    await this.refreshChain(chainId);
+    logger.info(`[Registry] Admin override saved for chain ${chainId}`, { updatedBy });
+
+    return override;
+  }
+
+  /**
+   * Sets a chain's category and tags, keeping the rest of its admin override
+   * @param {string} chainId - The chain ID
+   * @param {Object} classification - { category, tags, updatedBy }; null clears a field
+   * @returns {Promise<Object>} - The saved override
+   */
+  async setChainCategory(chainId, { category, tags, updatedBy }) {
+    const existing = await ChainOverride.findOne({ chainId }).lean();
+    const fields = { ...this.pickCuratedFields(existing?.fields) };
+
+    if (category !== undefined) fields.category = category;
+    if (tags !== undefined) fields.tags = tags;
+
+    return this.setAdminOverride(chainId, {
+      fields,
+      note: existing?.note,
+      updatedBy: updatedBy || existing?.updatedBy
+    });
+  }
+
+  /**
+   * Removes a chain's admin override
+   * @param {string} chainId - The chain ID
+   * @returns {Promise<boolean>} - Whether an override existed
+   */
+  async deleteAdminOverride(chainId) {
+    const result = await ChainOverride.deleteOne({ chainId });
+    if (result.deletedCount === 0) {
+      return false;
+    }
+
+    await this.refreshChain(chainId);
+    logger.info(`[Registry] Admin override removed for chain ${chainId}`);
+
+    return true;
+  }
+
+  /**
+   * Re-reads the overrides file and re-applies it to every chain it touches
+   * @returns {Promise<Object>} - { chains, refreshed }
+   */
+  async reload() {
+    const previous = Object.keys(this.fileOverrides || {});
+    const current = Object.keys(this.reloadFileOverrides());
+    const chainIds = new Set([...previous, ...current]);
+
+    let refreshed = 0;
+    for (const chainId of chainIds) {
+      if (await this.refreshChain(chainId)) {
+        refreshed++;
+      }
+    }
+
+    return { chains: current.length, refreshed };
+  }
+}
+
+module.exports = new ChainRegistryService();
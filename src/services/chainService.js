@@ -1,9 +1,27 @@
 const Chain = require('../models/chain');
+const TPS = require('../models/tps');
+const CumulativeTxCount = require('../models/cumulativeTxCount');
 const axios = require('axios');
 const config = require('../config/config');
 const tpsService = require('../services/tpsService');
+const chainRegistryService = require('./chainRegistryService');
+const chainHistoryService = require('./chainHistoryService');
 const cacheManager = require('../utils/cacheManager');
 const logger = require('../utils/logger');
+const { NETWORKS, getEnabledNetworks, getChainNetwork, getChainNetworkQuery, getGlacierEndpoint } = require('../utils/network');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { CATEGORIES, CATEGORY_SLUGS } = require('../utils/categories');
+
+// Ranking windows in seconds
+const RANKING_WINDOWS = {
+    '24h': 24 * 60 * 60,
+    '7d': 7 * 24 * 60 * 60,
+    '30d': 30 * 24 * 60 * 60
+};
+
+const RANKING_METRICS = ['tps', 'txCount', 'validators'];
+
+const DAY_SECONDS = 24 * 60 * 60;
 
 class ChainService {
     constructor() {
@@ -11,18 +29,18 @@ class ChainService {
         this.updateInterval = 30 * 60 * 1000; // 30 minutes
     }
 
-    // Get all chains
-    async getAllChains() {
+    // Get all chains on a network
+    async getAllChains(network = 'mainnet') {
         try {
             // Check cache first
-            const cacheKey = 'all_chains';
+            const cacheKey = `all_chains_${network}`;
             const cachedChains = cacheManager.get(cacheKey);
             if (cachedChains) {
                 logger.debug('Returning cached chains data');
                 return cachedChains;
             }
 
-            const chains = await Chain.find();
+            const chains = await Chain.find(getChainNetworkQuery(network));
             
             // Fetch latest TPS for each chain
             const chainsWithTps = await Promise.all(chains.map(async (chain) => {
@@ -51,6 +69,168 @@ class ChainService {
         }
     }
 
+    // Sort key of a chain in the chain list; null (no TPS yet) sorts last in either order
+    getChainSortValue(chain, sort) {
+        if (sort === 'tps') {
+            const value = chain.tps ? parseFloat(chain.tps.value) : NaN;
+            return isNaN(value) ? null : value;
+        }
+        if (sort === 'validators') {
+            return (chain.validators || []).length;
+        }
+        return (chain.chainName || '').toLowerCase();
+    }
+
+    // Compare sort keys, then chainId so the order is stable across pages
+    compareChainSortKeys(a, b, order) {
+        if (a.value !== b.value) {
+            if (a.value === null) return 1;
+            if (b.value === null) return -1;
+            const diff = a.value < b.value ? -1 : 1;
+            return order === 'desc' ? -diff : diff;
+        }
+        return a.id < b.id ? -1 : (a.id > b.id ? 1 : 0);
+    }
+
+    // Keep only the requested top-level fields (chainId is always included)
+    selectChainFields(chain, fields) {
+        if (!fields) {
+            return chain;
+        }
+        return Object.fromEntries(
+            ['chainId', ...fields]
+                .filter(field => chain[field] !== undefined)
+                .map(field => [field, chain[field]])
+        );
+    }
+
+    // Search, filter, sort and page the chains on a network
+    async queryChains({
+        network = 'mainnet',
+        search,
+        vmNames,
+        statuses,
+        enabledFeatures,
+        categories,
+        tags,
+        hasTeleporter,
+        minValidators,
+        sort = 'name',
+        order,
+        fields,
+        limit,
+        cursor
+    } = {}) {
+        const chains = await this.getAllChains(network);
+        const term = search ? search.toLowerCase() : null;
+
+        const matching = chains
+            .map(chain => (chain.toObject ? chain.toObject() : chain))
+            .filter(chain => {
+                const features = chain.enabledFeatures || [];
+                const text = `${chain.chainName || ''} ${chain.description || ''}`.toLowerCase();
+
+                if (term && !text.includes(term)) return false;
+                if (vmNames && !vmNames.includes((chain.vmName || '').toLowerCase())) return false;
+                if (statuses && !statuses.includes((chain.status || '').toLowerCase())) return false;
+                if (enabledFeatures && !enabledFeatures.every(feature => features.includes(feature))) return false;
+                if (categories && !categories.includes(chain.category)) return false;
+                if (tags && !tags.some(tag => (chain.tags || []).includes(tag))) return false;
+                if (hasTeleporter !== undefined && features.includes('teleporter') !== hasTeleporter) return false;
+                if (minValidators !== undefined && (chain.validators || []).length < minValidators) return false;
+                return true;
+            });
+
+        // Names read A-Z by default, TPS and validators highest first
+        const direction = order || (sort === 'name' ? 'asc' : 'desc');
+        const sorted = matching
+            .map(chain => ({ chain, value: this.getChainSortValue(chain, sort), id: chain.chainId }))
+            .sort((a, b) => this.compareChainSortKeys(a, b, direction));
+
+        // Continue strictly after the last chain of the previous page
+        let start = 0;
+        if (cursor) {
+            const { v, id } = decodeCursor(cursor);
+            if (typeof id !== 'string') {
+                throw new Error('Invalid cursor');
+            }
+            start = sorted.findIndex(item => this.compareChainSortKeys(item, { value: v, id }, direction) > 0);
+            if (start === -1) start = sorted.length;
+        }
+
+        const page = limit ? sorted.slice(start, start + limit) : sorted.slice(start);
+        const hasMore = start + page.length < sorted.length;
+        const last = page[page.length - 1];
+
+        return {
+            data: page.map(({ chain }) => this.selectChainFields({
+                ...chain,
+                validatorCount: (chain.validators || []).length
+            }, fields)),
+            total: matching.length,
+            hasMore,
+            nextCursor: hasMore && last ? encodeCursor({ v: last.value, id: last.id }) : null
+        };
+    }
+
+    // Chain count, latest TPS, daily transactions and validators summed per category
+    async getCategoryStats(network = 'mainnet') {
+        try {
+            const cacheKey = `chain_categories_${network}`;
+            const cachedStats = cacheManager.get(cacheKey);
+            if (cachedStats) {
+                logger.debug(`Returning cached ${network} category stats`);
+                return cachedStats;
+            }
+
+            const chains = (await this.getAllChains(network))
+                .map(chain => (chain.toObject ? chain.toObject() : chain));
+            const txCounts = await this.getRankingValues(chains, 'txCount', DAY_SECONDS);
+
+            const stats = new Map(CATEGORY_SLUGS.map(slug => [slug, {
+                category: slug,
+                name: CATEGORIES[slug],
+                chainCount: 0,
+                tps: 0,
+                txCount: 0,
+                validatorCount: 0,
+                tags: new Set()
+            }]));
+            let uncategorized = 0;
+
+            for (const chain of chains) {
+                const entry = stats.get(chain.category);
+                if (!entry) {
+                    uncategorized++;
+                    continue;
+                }
+
+                const tps = chain.tps ? parseFloat(chain.tps.value) : NaN;
+                entry.chainCount++;
+                entry.tps += isNaN(tps) ? 0 : tps;
+                entry.txCount += txCounts.get(chain.chainId)?.value || 0;
+                entry.validatorCount += (chain.validators || []).length;
+                (chain.tags || []).forEach(tag => entry.tags.add(tag));
+            }
+
+            const result = {
+                categories: Array.from(stats.values()).map(entry => ({
+                    ...entry,
+                    tps: parseFloat(entry.tps.toFixed(2)),
+                    tags: Array.from(entry.tags).sort()
+                })),
+                uncategorized
+            };
+
+            cacheManager.set(cacheKey, result, config.cache.chains);
+
+            return result;
+        } catch (error) {
+            logger.error(`Error building ${network} category stats:`, { error: error.message });
+            throw error;
+        }
+    }
+
     // Get chain by ID
     async getChainById(chainId) {
         try {
@@ -96,7 +276,7 @@ class ChainService {
                 return null;
             }
 
-            const validators = await this.fetchValidators(chainData.subnetId, chainId);
+            const validators = await this.fetchValidators(chainData.subnetId, chainId, getChainNetwork(chainData));
             
             logger.info(`Chain ${chainId} update details:`, {
                 validatorCount: validators.length,
@@ -105,22 +285,40 @@ class ChainService {
                 timestamp: new Date().toISOString()
             });
 
+            // Curated registry fields take precedence over Glacier's metadata
+            const { data: curatedData, fieldSources } = await chainRegistryService.applyOverrides(chainData);
+
+            // Keep the stored version so the update can be diffed into the chain's history
+            const previousChain = await Chain.findOne({ chainId }).select('-validators').lean();
+
+            // Chains stored before their network's first full sync completes aren't new launches
+            const firstSeen = !previousChain && {
+                firstSeen: new Date(),
+                initialImport: await chainHistoryService.isInitialImport(getChainNetwork(chainData))
+            };
+
             const updatedChain = await Chain.findOneAndUpdate(
                 { chainId },
-                { 
-                    ...chainData,
+                {
+                    ...curatedData,
+                    fieldSources,
+                    glacierValues: chainRegistryService.pickCuratedFields(chainData),
                     validators,
-                    lastUpdated: new Date()
+                    lastUpdated: new Date(),
+                    lastSeenInGlacier: new Date(),
+                    ...firstSeen
                 },
                 { upsert: true, new: true }
             );
+
+            await chainHistoryService.recordChanges(previousChain, updatedChain.toObject());
             
             // Update last update time
             this.lastUpdated.set(chainId, now);
             
             // Invalidate cache for this chain
             cacheManager.delete(`chain_${chainId}`);
-            cacheManager.delete('all_chains');
+            NETWORKS.forEach(network => cacheManager.delete(`all_chains_${network}`));
             
             logger.info(`Chain ${chainId} updated with ${updatedChain.validators.length} validators`);
             return updatedChain;
@@ -131,7 +329,99 @@ class ChainService {
         }
     }
 
-    async fetchValidators(subnetId, chainId) {
+    // Mark chains Glacier no longer returns as inactive, record when each chain was last seen,
+    // and record the completed sync for each network. Call after every fetched chain was updated.
+    // Networks without any chain in the fetch are left alone so a Glacier outage can't
+    // deactivate every chain.
+    async updateLifecycle(glacierChains, networks = getEnabledNetworks()) {
+        try {
+            const fetchedNetworks = networks.filter(network =>
+                (glacierChains || []).some(chain => getChainNetwork(chain) === network));
+
+            if (fetchedNetworks.length === 0) {
+                logger.warn('[Lifecycle] No chains fetched from Glacier, skipping lifecycle update');
+                return { seen: 0, deactivated: 0, reactivated: 0 };
+            }
+
+            const now = new Date();
+            const seenIds = glacierChains.map(chain => String(chain.chainId));
+            const networkQuery = { $or: fetchedNetworks.map(network => getChainNetworkQuery(network)) };
+
+            const [missing, returning] = await Promise.all([
+                Chain.find({ ...networkQuery, chainId: { $nin: seenIds }, lifecycleState: { $ne: 'inactive' } })
+                    .select('-validators')
+                    .lean(),
+                Chain.find({ chainId: { $in: seenIds }, lifecycleState: 'inactive' })
+                    .select('-validators')
+                    .lean()
+            ]);
+
+            await Chain.updateMany({ chainId: { $in: seenIds } }, { lastSeenInGlacier: now });
+
+            for (const chain of missing) {
+                await Chain.updateOne({ chainId: chain.chainId }, { lifecycleState: 'inactive', inactiveSince: now });
+                await chainHistoryService.recordChanges(chain, { ...chain, lifecycleState: 'inactive' });
+                logger.warn(`[Lifecycle] Chain ${chain.chainId} (${chain.chainName}) is no longer returned by Glacier`, {
+                    lastSeenInGlacier: chain.lastSeenInGlacier
+                });
+            }
+
+            for (const chain of returning) {
+                await Chain.updateOne({ chainId: chain.chainId }, { lifecycleState: 'active', inactiveSince: null });
+                await chainHistoryService.recordChanges(chain, { ...chain, lifecycleState: 'active' });
+                logger.info(`[Lifecycle] Chain ${chain.chainId} (${chain.chainName}) is back in Glacier`);
+            }
+
+            // Chains stored before lifecycle tracking have no first-seen date to report
+            await Chain.updateMany(
+                { firstSeen: { $exists: false } },
+                { firstSeen: now, initialImport: true }
+            );
+
+            // Chains first stored from now on are new launches
+            for (const network of fetchedNetworks) {
+                await chainHistoryService.markSyncCompleted(network);
+            }
+
+            if (missing.length > 0 || returning.length > 0) {
+                NETWORKS.forEach(network => {
+                    cacheManager.delete(`all_chains_${network}`);
+                    cacheManager.delete(`chain_categories_${network}`);
+                });
+                [...missing, ...returning].forEach(chain => cacheManager.delete(`chain_${chain.chainId}`));
+            }
+
+            logger.info(`[Lifecycle] ${seenIds.length} chains seen, ${missing.length} deactivated, ${returning.length} reactivated`);
+            return { seen: seenIds.length, deactivated: missing.length, reactivated: returning.length };
+        } catch (error) {
+            logger.error('[Lifecycle] Failed to update chain lifecycle:', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Chains first seen in the last N days, newest first (chains from the initial import are left out)
+    async getNewChains(days = 30, network = 'mainnet') {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+        return Chain.find({
+            ...getChainNetworkQuery(network),
+            firstSeen: { $gte: since },
+            initialImport: { $ne: true }
+        })
+            .select('-validators -__v')
+            .sort({ firstSeen: -1 })
+            .lean();
+    }
+
+    // Chains Glacier no longer returns, most recently deactivated first
+    async getInactiveChains(network = 'mainnet') {
+        return Chain.find({ ...getChainNetworkQuery(network), lifecycleState: 'inactive' })
+            .select('-validators -__v')
+            .sort({ inactiveSince: -1 })
+            .lean();
+    }
+
+    async fetchValidators(subnetId, chainId, network = 'mainnet') {
         try {
             if (!subnetId) {
                 // If no subnetId, try to fetch validators using the alternative method
@@ -143,7 +433,7 @@ class ChainService {
             
             // Try first Glacier API endpoint (validators)
             do {
-                const validatorsEndpoint = config.api.glacier.endpoints.validators;
+                const validatorsEndpoint = getGlacierEndpoint('validators', network);
                 const url = new URL(`${config.api.glacier.baseUrl}${validatorsEndpoint}`);
                 url.searchParams.append('subnetId', subnetId);
                 url.searchParams.append('pageSize', '100');
@@ -178,7 +468,7 @@ class ChainService {
                 
                 // Try L1Validators endpoint with subnetId parameter
                 try {
-                    const l1ValidatorsEndpoint = config.api.glacier.endpoints.l1Validators;
+                    const l1ValidatorsEndpoint = getGlacierEndpoint('l1Validators', network);
                     const secondaryUrl = new URL(`${config.api.glacier.baseUrl}${l1ValidatorsEndpoint}`);
                     secondaryUrl.searchParams.append('subnetId', subnetId);
                     secondaryUrl.searchParams.append('pageSize', '100');
@@ -328,6 +618,285 @@ class ChainService {
         logger.info('Cleared all chain update tracking');
     }
 
+    // Pick the latest value and the value one window earlier from a series of points
+    getWindowValues(points, windowSeconds) {
+        if (points.length === 0) {
+            return null;
+        }
+
+        const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp);
+        const current = sorted[sorted.length - 1];
+        const targetTimestamp = current.timestamp - windowSeconds;
+
+        // Latest point at or before the start of the window
+        let previous = null;
+        for (const point of sorted) {
+            if (point.timestamp > targetTimestamp) break;
+            previous = point;
+        }
+
+        return {
+            value: current.value,
+            timestamp: current.timestamp,
+            previousValue: previous ? previous.value : null
+        };
+    }
+
+    // Collect current and window-start values for every chain, keyed by chainId
+    async getRankingValues(chains, metric, windowSeconds) {
+        const chainIds = chains.map(chain => chain.chainId);
+        const now = Math.floor(Date.now() / 1000);
+        // Extra days so the window-start point exists even when the latest point lags
+        const since = now - windowSeconds - (3 * 24 * 60 * 60);
+        const valuesByChain = new Map();
+
+        if (metric === 'validators') {
+            // Only active validators are stored, so the earlier count is those that had already started
+            const windowStart = now - windowSeconds;
+            for (const chain of chains) {
+                const validators = chain.validators || [];
+                valuesByChain.set(chain.chainId, {
+                    value: validators.length,
+                    timestamp: now,
+                    previousValue: validators.filter(v => v.startTimestamp && v.startTimestamp <= windowStart).length
+                });
+            }
+            return valuesByChain;
+        }
+
+        const Model = metric === 'tps' ? TPS : CumulativeTxCount;
+        const points = await Model.find({ chainId: { $in: chainIds }, timestamp: { $gte: since } })
+            .select('-_id chainId timestamp value')
+            .lean();
+
+        const pointsByChain = new Map();
+        for (const point of points) {
+            if (!pointsByChain.has(point.chainId)) {
+                pointsByChain.set(point.chainId, []);
+            }
+            pointsByChain.get(point.chainId).push(point);
+        }
+
+        for (const [chainId, chainPoints] of pointsByChain) {
+            // Rank tx counts by daily volume rather than the ever-growing cumulative total
+            const series = metric === 'txCount'
+                ? tpsService.deriveDailyTxCounts(chainPoints).map(p => ({ timestamp: p.timestamp, value: p.txCount }))
+                : chainPoints;
+
+            const values = this.getWindowValues(series, windowSeconds);
+            if (values) {
+                valuesByChain.set(chainId, values);
+            }
+        }
+
+        return valuesByChain;
+    }
+
+    // Rank chains by a metric with change and rank movement over a window
+    async getChainRankings(metric = 'tps', window = '7d', network = 'mainnet') {
+        try {
+            if (!RANKING_METRICS.includes(metric)) {
+                throw new Error(`Unknown ranking metric: ${metric}`);
+            }
+            const windowSeconds = RANKING_WINDOWS[window];
+            if (!windowSeconds) {
+                throw new Error(`Unknown ranking window: ${window}`);
+            }
+
+            const cacheKey = `chain_rankings_${metric}_${window}_${network}`;
+            const cachedRankings = cacheManager.get(cacheKey);
+            if (cachedRankings) {
+                logger.debug(`Returning cached ${metric} rankings for ${window}`);
+                return cachedRankings;
+            }
+
+            const chains = await Chain.find(getChainNetworkQuery(network))
+                .select('chainId chainName chainLogoUri validators.startTimestamp')
+                .lean();
+            const valuesByChain = await this.getRankingValues(chains, metric, windowSeconds);
+
+            const entries = chains
+                .filter(chain => valuesByChain.has(chain.chainId))
+                .map(chain => {
+                    const { value, timestamp, previousValue } = valuesByChain.get(chain.chainId);
+                    const change = previousValue === null ? null : value - previousValue;
+                    return {
+                        chainId: chain.chainId,
+                        chainName: chain.chainName,
+                        chainLogoUri: chain.chainLogoUri,
+                        value,
+                        previousValue,
+                        change,
+                        changePercent: change === null || previousValue === 0
+                            ? null
+                            : parseFloat(((change / previousValue) * 100).toFixed(2)),
+                        timestamp
+                    };
+                });
+
+            // Rank at the start of the window, among chains that had a value then
+            const previousRanks = new Map(
+                entries
+                    .filter(entry => entry.previousValue !== null)
+                    .sort((a, b) => b.previousValue - a.previousValue)
+                    .map((entry, index) => [entry.chainId, index + 1])
+            );
+
+            const rankings = entries
+                .sort((a, b) => b.value - a.value)
+                .map((entry, index) => {
+                    const rank = index + 1;
+                    const previousRank = previousRanks.get(entry.chainId) || null;
+                    return {
+                        rank,
+                        previousRank,
+                        // Positive when the chain moved up the leaderboard
+                        rankChange: previousRank === null ? null : previousRank - rank,
+                        ...entry
+                    };
+                });
+
+            cacheManager.set(cacheKey, rankings, config.cache.chains);
+
+            return rankings;
+        } catch (error) {
+            logger.error(`Error ranking chains by ${metric}:`, { error: error.message });
+            throw error;
+        }
+    }
+
+    // Summary statistics over an aligned series, ignoring days without data
+    getSeriesSummary(values) {
+        const present = values.filter(value => value !== null);
+        if (present.length === 0) {
+            return { latest: null, min: null, max: null, avg: null, change: null, changePercent: null, points: 0 };
+        }
+
+        const first = present[0];
+        const latest = present[present.length - 1];
+        const change = latest - first;
+
+        return {
+            latest,
+            min: Math.min(...present),
+            max: Math.max(...present),
+            avg: parseFloat((present.reduce((sum, value) => sum + value, 0) / present.length).toFixed(4)),
+            change,
+            changePercent: first === 0 ? null : parseFloat(((change / first) * 100).toFixed(2)),
+            points: present.length
+        };
+    }
+
+    // Daily values of a metric for several chains, keyed by chainId then day timestamp
+    async getDailyValuesByChain(chains, metric, since) {
+        const valuesByChain = new Map(chains.map(chain => [chain.chainId, new Map()]));
+
+        if (metric === 'validators') {
+            // Only active validators are stored, so earlier days count those that had already started
+            const now = Math.floor(Date.now() / 1000);
+            for (const chain of chains) {
+                const starts = (chain.validators || []).map(v => v.startTimestamp || 0);
+                const days = valuesByChain.get(chain.chainId);
+                for (let day = since; day <= now; day += DAY_SECONDS) {
+                    days.set(day, starts.filter(start => start < day + DAY_SECONDS).length);
+                }
+            }
+            return valuesByChain;
+        }
+
+        const Model = metric === 'tps' ? TPS : CumulativeTxCount;
+        // One extra day as the baseline for the first tx count delta
+        const points = await Model.find({
+            chainId: { $in: chains.map(chain => chain.chainId) },
+            timestamp: { $gte: metric === 'txCount' ? since - DAY_SECONDS : since }
+        })
+            .select('-_id chainId timestamp value')
+            .lean();
+
+        const pointsByChain = new Map();
+        for (const point of points) {
+            if (!pointsByChain.has(point.chainId)) {
+                pointsByChain.set(point.chainId, []);
+            }
+            pointsByChain.get(point.chainId).push(point);
+        }
+
+        for (const [chainId, chainPoints] of pointsByChain) {
+            // Compare tx counts as daily volume rather than the ever-growing cumulative total
+            const series = metric === 'txCount'
+                ? tpsService.deriveDailyTxCounts(chainPoints).map(p => ({ timestamp: p.timestamp, value: p.txCount }))
+                : chainPoints;
+
+            const days = valuesByChain.get(chainId);
+            for (const point of series) {
+                days.set(Math.floor(point.timestamp / DAY_SECONDS) * DAY_SECONDS, point.value);
+            }
+        }
+
+        return valuesByChain;
+    }
+
+    // Aligned daily series and summary stats for several chains and metrics
+    async compareChains(chainIds, metrics = ['tps', 'txCount'], days = 30) {
+        try {
+            const cacheKey = `compare_${[...chainIds].sort().join(',')}_${[...metrics].sort().join(',')}_${days}`;
+            const cachedComparison = cacheManager.get(cacheKey);
+            if (cachedComparison) {
+                logger.debug('Returning cached chain comparison');
+                return cachedComparison;
+            }
+
+            const chains = await Chain.find({ chainId: { $in: chainIds } })
+                .select('chainId chainName chainLogoUri validators.startTimestamp')
+                .lean();
+
+            const missing = chainIds.filter(id => !chains.some(chain => chain.chainId === id));
+            if (missing.length > 0) {
+                throw new Error(`Chains not found: ${missing.join(', ')}`);
+            }
+
+            const today = Math.floor(Date.now() / 1000 / DAY_SECONDS) * DAY_SECONDS;
+            const since = today - (days - 1) * DAY_SECONDS;
+            const timestamps = [];
+            for (let day = since; day <= today; day += DAY_SECONDS) {
+                timestamps.push(day);
+            }
+
+            const series = {};
+            const summary = {};
+            for (const metric of metrics) {
+                const valuesByChain = await this.getDailyValuesByChain(chains, metric, since);
+                series[metric] = {};
+                summary[metric] = {};
+
+                // Keep the requested chain order
+                for (const chainId of chainIds) {
+                    const days = valuesByChain.get(chainId);
+                    const values = timestamps.map(day => days.has(day) ? days.get(day) : null);
+                    series[metric][chainId] = values;
+                    summary[metric][chainId] = this.getSeriesSummary(values);
+                }
+            }
+
+            const comparison = {
+                timestamps,
+                chains: chainIds.map(id => {
+                    const chain = chains.find(c => c.chainId === id);
+                    return { chainId: chain.chainId, chainName: chain.chainName, chainLogoUri: chain.chainLogoUri };
+                }),
+                series,
+                summary
+            };
+
+            cacheManager.set(cacheKey, comparison, config.cache.chains);
+
+            return comparison;
+        } catch (error) {
+            logger.error('Error comparing chains:', { chainIds, metrics, error: error.message });
+            throw error;
+        }
+    }
+
     // Update only the validators for a specific chain
     async updateValidatorsOnly(chainId, validators) {
         try {
@@ -352,7 +921,7 @@ class ChainService {
             
             // Invalidate cache for this chain
             cacheManager.delete(`chain_${chainId}`);
-            cacheManager.delete('all_chains');
+            NETWORKS.forEach(network => cacheManager.delete(`all_chains_${network}`));
             
             logger.info(`Updated ${updatedChain.validators.length} validators for chain ${chainId}`);
             return updatedChain;
@@ -0,0 +1,225 @@
+const MetricRollup = require('../models/metricRollup');
+const TPS = require('../models/tps');
+const CumulativeTxCount = require('../models/cumulativeTxCount');
+const Chain = require('../models/chain');
+const tpsService = require('./tpsService');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Raw points newer than this are never pruned: rollup rebuilds re-read the latest
+// (possibly still open) week and month, so their daily points must still exist
+const MIN_RAW_RETENTION_DAYS = 62;
+
+const ROLLUP_MODELS = {
+  tps: TPS,
+  txCount: CumulativeTxCount
+};
+
+class RollupService {
+  /**
+   * Start of the week (Monday, UTC) or month containing a timestamp
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} period - 'week' or 'month'
+   * @returns {number} - Period start in seconds
+   */
+  getPeriodStart(timestamp, period) {
+    const date = new Date(timestamp * 1000);
+
+    if (period === 'month') {
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+    }
+
+    const dayStart = Math.floor(timestamp / DAY_SECONDS) * DAY_SECONDS;
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return dayStart - daysSinceMonday * DAY_SECONDS;
+  }
+
+  /**
+   * Summarizes raw daily points into weekly or monthly periods
+   * @param {Array} raw - Raw points ({ timestamp, value }), oldest first; for txCount
+   *   one extra earlier point serves as the baseline for the first daily delta
+   * @param {string} metric - 'tps' or 'txCount'
+   * @param {string} period - 'week' or 'month'
+   * @param {number} [since] - Ignore days before this timestamp
+   * @returns {Map<number, Object>} - { avg, min, max, sum, count, lastValue } by period start
+   */
+  summarizePeriods(raw, metric, period, since = 0) {
+    const daily = metric === 'txCount'
+      ? tpsService.deriveDailyTxCounts(raw).map(point => ({ timestamp: point.timestamp, value: point.txCount }))
+      : raw;
+
+    const groups = new Map();
+    for (const point of daily) {
+      if (point.timestamp < since) continue;
+
+      const periodStart = this.getPeriodStart(point.timestamp, period);
+      if (!groups.has(periodStart)) {
+        groups.set(periodStart, []);
+      }
+      groups.get(periodStart).push(point.value);
+    }
+
+    // Cumulative total at the end of each period
+    const lastValues = new Map();
+    if (metric === 'txCount') {
+      for (const point of raw) {
+        lastValues.set(this.getPeriodStart(point.timestamp, period), point.value);
+      }
+    }
+
+    const summaries = new Map();
+    for (const [periodStart, values] of groups) {
+      const sum = values.reduce((total, value) => total + value, 0);
+      summaries.set(periodStart, {
+        avg: sum / values.length,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        sum,
+        count: values.length,
+        ...(metric === 'txCount' && { lastValue: lastValues.get(periodStart) })
+      });
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Rebuilds a chain's weekly and monthly rollups for a metric
+   * Only periods from the latest stored rollup onwards are recomputed, so the
+   * first run covers all history and later runs just refresh the open periods.
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - 'tps' or 'txCount'
+   * @returns {Promise<number>} - Number of rollups written
+   */
+  async buildRollups(chainId, metric) {
+    const model = ROLLUP_MODELS[metric];
+    let written = 0;
+
+    for (const period of ['week', 'month']) {
+      const latest = await MetricRollup.findOne({ chainId, metric, period })
+        .sort({ periodStart: -1 })
+        .select('periodStart')
+        .lean();
+      const since = latest ? latest.periodStart : 0;
+
+      // One extra day as the baseline for the first tx count delta
+      const raw = await model.find({
+        chainId,
+        timestamp: { $gte: metric === 'txCount' ? since - DAY_SECONDS : since }
+      })
+        .sort({ timestamp: 1 })
+        .select('-_id timestamp value')
+        .lean();
+
+      const summaries = this.summarizePeriods(raw, metric, period, since);
+      if (summaries.size === 0) continue;
+
+      const result = await MetricRollup.bulkWrite(
+        Array.from(summaries.entries()).map(([periodStart, summary]) => ({
+          updateOne: {
+            filter: { chainId, metric, period, periodStart },
+            update: { $set: { ...summary, lastUpdated: new Date() } },
+            upsert: true
+          }
+        })),
+        { ordered: false }
+      );
+
+      written += result.upsertedCount + result.modifiedCount;
+    }
+
+    return written;
+  }
+
+  /**
+   * Deletes raw daily TPS and tx count points older than the retention horizon
+   * Does nothing when retention is disabled (METRICS_RAW_RETENTION_DAYS=0).
+   * @returns {Promise<number>} - Number of raw points deleted
+   */
+  async pruneRawData() {
+    const { rawDays } = config.api.metrics.retention;
+    if (!rawDays) {
+      return 0;
+    }
+
+    const retentionDays = Math.max(rawDays, MIN_RAW_RETENTION_DAYS);
+    const cutoff = Math.floor(Date.now() / 1000) - (retentionDays * DAY_SECONDS);
+    let deleted = 0;
+
+    for (const [metric, model] of Object.entries(ROLLUP_MODELS)) {
+      const result = await model.deleteMany({ timestamp: { $lt: cutoff } });
+      deleted += result.deletedCount;
+      logger.info(`[Rollups] Pruned ${result.deletedCount} raw ${metric} points older than ${retentionDays} days`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Fetches a chain's older daily history once, then rebuilds its rollups from scratch
+   * if older points arrived, since builds only recompute from the latest rollup onwards.
+   * The chain is only marked as backfilled after a successful fetch, so a failed one
+   * is retried on the next run.
+   * @param {Object} chain - Chain with chainId and historyBackfilledAt
+   * @param {string} metric - 'tps' or 'txCount'
+   * @returns {Promise<void>}
+   * @throws {Error} If the metrics API request fails
+   */
+  async backfillHistory(chain, metric) {
+    if (!config.api.metrics.retention.historyDays || chain.historyBackfilledAt?.[metric]) {
+      return;
+    }
+
+    const stored = await tpsService.backfillHistory(chain.chainId, metric);
+    if (stored) {
+      await MetricRollup.deleteMany({ chainId: chain.chainId, metric });
+    }
+    await Chain.updateOne({ chainId: chain.chainId }, { [`historyBackfilledAt.${metric}`]: new Date() });
+  }
+
+  /**
+   * Backfills older history where needed, refreshes rollups for every chain,
+   * then prunes raw points past the horizon
+   * @returns {Promise<Object>} - { chains, rollupsWritten, pointsPruned, backfillFailures }
+   */
+  async runRollups() {
+    const chains = await Chain.find().select('chainId historyBackfilledAt').lean();
+    let rollupsWritten = 0;
+    let failures = 0;
+    let backfillFailures = 0;
+
+    for (const chain of chains) {
+      const { chainId } = chain;
+      for (const metric of Object.keys(ROLLUP_MODELS)) {
+        // A failed backfill is retried next run; rollups are still built from what is stored
+        try {
+          await this.backfillHistory(chain, metric);
+        } catch (error) {
+          backfillFailures++;
+          logger.warn(`[Rollups] History backfill failed for chain ${chainId} ${metric}, will retry next run:`, { error: error.message });
+        }
+
+        try {
+          rollupsWritten += await this.buildRollups(chainId, metric);
+        } catch (error) {
+          failures++;
+          logger.error(`[Rollups] Failed for chain ${chainId} ${metric}:`, { error: error.message });
+        }
+      }
+    }
+
+    // Never prune raw points that may not be summarized yet
+    let pointsPruned = 0;
+    if (failures > 0) {
+      logger.warn(`[Rollups] Skipping raw data pruning after ${failures} failed rollups`);
+    } else {
+      pointsPruned = await this.pruneRawData();
+    }
+
+    return { chains: chains.length, rollupsWritten, pointsPruned, backfillFailures };
+  }
+}
+
+module.exports = new RollupService();
@@ -0,0 +1,269 @@
+const axios = require('axios');
+const RpcProbe = require('../models/rpcProbe');
+const Chain = require('../models/chain');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Windows reported as uptime percentages
+const UPTIME_WINDOWS = {
+  '24h': DAY_MS,
+  '7d': 7 * DAY_MS,
+  '30d': 30 * DAY_MS
+};
+
+class RpcProbeService {
+  /**
+   * Sends a JSON-RPC request without params
+   * @param {string} url - RPC endpoint
+   * @param {string} method - JSON-RPC method
+   * @param {number} timeout - Request timeout in milliseconds
+   * @returns {Promise<*>} - The result field of the response
+   */
+  async rpcCall(url, method, timeout) {
+    const response = await axios.post(url, { jsonrpc: '2.0', id: 1, method, params: [] }, {
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'l1beat-backend'
+      }
+    });
+
+    const { data } = response;
+    if (data?.error) {
+      throw new Error(`${method} failed: ${data.error.message || JSON.stringify(data.error)}`);
+    }
+    if (data?.result === undefined) {
+      throw new Error(`${method} returned an invalid JSON-RPC response`);
+    }
+    return data.result;
+  }
+
+  /**
+   * Parses a JSON-RPC hex quantity
+   * @param {string} value - Hex string such as '0x1a'
+   * @param {string} method - Method that returned it, for the error message
+   * @returns {number}
+   */
+  parseQuantity(value, method) {
+    const number = typeof value === 'string' && /^0x[0-9a-f]+$/i.test(value) ? parseInt(value, 16) : NaN;
+    if (isNaN(number)) {
+      throw new Error(`${method} returned ${JSON.stringify(value)}, not a hex quantity`);
+    }
+    return number;
+  }
+
+  /**
+   * EVM chain ID a chain's RPC should report
+   * @param {Object} chain - Chain document
+   * @returns {number|null} - Null when the chain ID isn't numeric
+   */
+  getExpectedChainId(chain) {
+    return /^\d+$/.test(String(chain.chainId)) ? Number(chain.chainId) : null;
+  }
+
+  /**
+   * Probes an RPC endpoint with eth_blockNumber and eth_chainId
+   * Failures are returned as a down result rather than thrown.
+   * @param {string} rpcUrl - RPC endpoint
+   * @param {number|null} expectedChainId - EVM chain ID the endpoint should report
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @returns {Promise<Object>} - { rpcUrl, up, healthy, latencyMs, blockNumber, reportedChainId, expectedChainId, chainIdMatches, error }
+   */
+  async probeRpc(rpcUrl, expectedChainId, { timeout = config.rpcProbe.timeout } = {}) {
+    const result = {
+      rpcUrl,
+      up: false,
+      healthy: false,
+      latencyMs: null,
+      blockNumber: null,
+      reportedChainId: null,
+      expectedChainId,
+      chainIdMatches: null,
+      error: null
+    };
+
+    const started = Date.now();
+    try {
+      const [blockNumber, chainId] = await Promise.all([
+        this.rpcCall(rpcUrl, 'eth_blockNumber', timeout),
+        this.rpcCall(rpcUrl, 'eth_chainId', timeout)
+      ]);
+      result.latencyMs = Date.now() - started;
+      result.blockNumber = this.parseQuantity(blockNumber, 'eth_blockNumber');
+      result.reportedChainId = this.parseQuantity(chainId, 'eth_chainId');
+      result.up = true;
+    } catch (error) {
+      result.error = error.code === 'ECONNABORTED' ? `Timed out after ${timeout}ms` : error.message;
+      return result;
+    }
+
+    if (expectedChainId !== null && expectedChainId !== undefined) {
+      result.chainIdMatches = result.reportedChainId === expectedChainId;
+      if (!result.chainIdMatches) {
+        result.error = `Reported chain ID ${result.reportedChainId}, expected ${expectedChainId}`;
+      }
+    }
+    result.healthy = result.chainIdMatches !== false;
+
+    return result;
+  }
+
+  /**
+   * Probes a chain's RPC and stores the result
+   * @param {Object} chain - Chain with chainId and rpcUrl
+   * @returns {Promise<Object>} - The stored probe
+   */
+  async probeChain(chain) {
+    const result = await this.probeRpc(chain.rpcUrl, this.getExpectedChainId(chain));
+    const probe = await RpcProbe.create({ chainId: chain.chainId, ...result });
+
+    if (!result.healthy) {
+      logger.warn(`[RPC Probe] Chain ${chain.chainId} RPC unhealthy: ${result.error}`, { rpcUrl: chain.rpcUrl });
+    }
+
+    return probe.toObject();
+  }
+
+  /**
+   * Probes every active chain with an RPC URL, a few at a time, then prunes old probes
+   * @returns {Promise<Object>} - { probed, healthy, unhealthy, failed, pruned }
+   */
+  async probeAllChains() {
+    const chains = await Chain.find({
+      rpcUrl: { $nin: [null, ''] },
+      lifecycleState: { $ne: 'inactive' }
+    })
+      .select('chainId chainName rpcUrl')
+      .lean();
+
+    const summary = { probed: 0, healthy: 0, unhealthy: 0, failed: 0, pruned: 0 };
+    const concurrency = Math.max(1, config.rpcProbe.concurrency);
+
+    for (let i = 0; i < chains.length; i += concurrency) {
+      const batch = chains.slice(i, i + concurrency);
+      const results = await Promise.allSettled(batch.map(chain => this.probeChain(chain)));
+
+      results.forEach((outcome, index) => {
+        if (outcome.status === 'rejected') {
+          summary.failed++;
+          logger.error(`[RPC Probe] Failed to probe chain ${batch[index].chainId}:`, { error: outcome.reason.message });
+          return;
+        }
+        summary.probed++;
+        summary[outcome.value.healthy ? 'healthy' : 'unhealthy']++;
+      });
+    }
+
+    summary.pruned = await this.pruneProbes();
+    return summary;
+  }
+
+  /**
+   * Deletes probes older than the retention window
+   * @returns {Promise<number>} - Probes deleted
+   */
+  async pruneProbes() {
+    const cutoff = new Date(Date.now() - config.rpcProbe.retentionDays * DAY_MS);
+    const result = await RpcProbe.deleteMany({ timestamp: { $lt: cutoff } });
+    return result.deletedCount;
+  }
+
+  /**
+   * Share of probes that were healthy
+   * @param {Array} probes - Probes in the window
+   * @returns {number|null} - Percentage, or null without probes
+   */
+  getUptime(probes) {
+    if (probes.length === 0) {
+      return null;
+    }
+    const healthy = probes.filter(probe => probe.healthy).length;
+    return parseFloat(((healthy / probes.length) * 100).toFixed(2));
+  }
+
+  /**
+   * Groups probes into hourly or daily buckets, oldest first
+   * @param {Array} probes - Probes, oldest first
+   * @param {number} bucketMs - Bucket size in milliseconds
+   * @returns {Array} - { timestamp, probes, healthy, uptime, avgLatencyMs, blockNumber }
+   */
+  getHistory(probes, bucketMs) {
+    const buckets = new Map();
+
+    for (const probe of probes) {
+      const start = Math.floor(new Date(probe.timestamp).getTime() / bucketMs) * bucketMs;
+      if (!buckets.has(start)) {
+        buckets.set(start, []);
+      }
+      buckets.get(start).push(probe);
+    }
+
+    return Array.from(buckets, ([start, bucket]) => {
+      const latencies = bucket.filter(probe => probe.latencyMs !== null && probe.latencyMs !== undefined)
+        .map(probe => probe.latencyMs);
+      const blockNumbers = bucket.filter(probe => probe.blockNumber !== null && probe.blockNumber !== undefined)
+        .map(probe => probe.blockNumber);
+
+      return {
+        timestamp: new Date(start).toISOString(),
+        probes: bucket.length,
+        healthy: bucket.filter(probe => probe.healthy).length,
+        uptime: this.getUptime(bucket),
+        avgLatencyMs: latencies.length > 0
+          ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+          : null,
+        blockNumber: blockNumbers.length > 0 ? Math.max(...blockNumbers) : null
+      };
+    });
+  }
+
+  /**
+   * A chain's latest probe, uptime over 24h/7d/30d and probe history
+   * @param {string} chainId - The chain ID
+   * @param {Object} options
+   * @param {number} [options.days] - History range; hourly buckets up to 2 days, daily beyond
+   * @returns {Promise<Object>} - { chainId, chainName, rpcUrl, latest, uptime, history }
+   * @throws {Error} 'Chain not found' if the chain is unknown
+   */
+  async getRpcStatus(chainId, { days = 7 } = {}) {
+    const chain = await Chain.findOne({ chainId }).select('chainId chainName rpcUrl').lean();
+    if (!chain) {
+      throw new Error('Chain not found');
+    }
+
+    const now = Date.now();
+    const since = new Date(now - Math.max(days * DAY_MS, UPTIME_WINDOWS['30d']));
+    const probes = await RpcProbe.find({ chainId, timestamp: { $gte: since } })
+      .sort({ timestamp: 1 })
+      .select('-_id -__v -chainId')
+      .lean();
+
+    const uptime = Object.fromEntries(
+      Object.entries(UPTIME_WINDOWS).map(([window, windowMs]) => [
+        window,
+        this.getUptime(probes.filter(probe => new Date(probe.timestamp).getTime() >= now - windowMs))
+      ])
+    );
+
+    const historyStart = now - days * DAY_MS;
+    const history = this.getHistory(
+      probes.filter(probe => new Date(probe.timestamp).getTime() >= historyStart),
+      days <= 2 ? HOUR_MS : DAY_MS
+    );
+
+    return {
+      chainId: chain.chainId,
+      chainName: chain.chainName,
+      rpcUrl: chain.rpcUrl || null,
+      latest: probes.length > 0 ? probes[probes.length - 1] : null,
+      uptime,
+      history
+    };
+  }
+}
+
+module.exports = new RpcProbeService();
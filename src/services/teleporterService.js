@@ -2,6 +2,10 @@ const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const { TeleporterMessage, TeleporterUpdateState } = require('../models/teleporterMessage');
+const IcmMessage = require('../models/icmMessage');
+const Chain = require('../models/chain');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { getEnabledNetworks, getNetworkQuery } = require('../utils/network');
 
 class TeleporterService {
     constructor() {
@@ -9,6 +13,7 @@ class TeleporterService {
         this.GLACIER_API_KEY = process.env.GLACIER_API_KEY;
         this.UPDATE_INTERVAL = 60 * 60 * 1000; // 1 hour in milliseconds
         this.TIMEOUT = 30000; // 30 seconds
+        this.ingestionPromises = new Map();
         
         if (!this.GLACIER_API_KEY) {
             logger.warn('GLACIER_API_KEY not found in environment variables');
@@ -27,30 +32,24 @@ class TeleporterService {
     /**
      * Fetch ICM messages from Glacier API
      * @param {number} hoursAgo - How many hours ago to start fetching from
+     * @param {string} [network] - mainnet or fuji
      * @returns {Promise<Array>} Array of messages
      */
-    async fetchICMMessages(hoursAgo = 24) {
+    async fetchICMMessages(hoursAgo = 24, network = 'mainnet') {
         try {
             const endTime = Math.floor(Date.now() / 1000);
             const startTime = endTime - (hoursAgo * 60 * 60);
 
-            const headers = {
-                'Accept': 'application/json',
-                'User-Agent': 'l1beat-backend'
-            };
-
-            if (this.GLACIER_API_KEY) {
-                headers['x-glacier-api-key'] = this.GLACIER_API_KEY;
-            }
+            const headers = this.getGlacierHeaders();
 
             const params = {
                 startTime,
                 endTime,
-                network: 'mainnet',
+                network,
                 pageSize: 100
             };
 
-            logger.info(`Fetching ICM messages from ${hoursAgo} hours ago`, { 
+            logger.info(`Fetching ${network} ICM messages from ${hoursAgo} hours ago`, { 
                 startTime, 
                 endTime,
                 startTimeISO: new Date(startTime * 1000).toISOString(),
@@ -81,26 +80,14 @@ class TeleporterService {
 
                 // Check each message timestamp to see if it's within our time window
                 for (const message of messages) {
-                    let messageTimestamp = null;
-
-                    // Try to get timestamp from sourceTransaction first, then fallback to message timestamp
-                    if (message.sourceTransaction && message.sourceTransaction.timestamp) {
-                        messageTimestamp = message.sourceTransaction.timestamp;
-                    } else if (message.timestamp) {
-                        messageTimestamp = message.timestamp;
-                    }
+                    const timestampInSeconds = this.getMessageTimestamp(message);
 
-                    if (!messageTimestamp) {
+                    if (!timestampInSeconds) {
                         // If no timestamp found, include the message (we can't determine its age)
                         validMessages.push(message);
                         continue;
                     }
 
-                    // Convert timestamp to seconds if it's in milliseconds
-                    const timestampInSeconds = messageTimestamp > 1000000000000 
-                        ? Math.floor(messageTimestamp / 1000) 
-                        : messageTimestamp;
-
                     // Check if the message is within our time range
                     if (timestampInSeconds >= startTime) {
                         validMessages.push(message);
@@ -117,6 +104,9 @@ class TeleporterService {
                     }
                 }
 
+                // Persist this page before moving on so partial runs still keep what they fetched
+                await this.storeMessages(validMessages, network);
+
                 // Add valid messages from this page to our collection
                 allMessages = allMessages.concat(validMessages);
                 nextPageToken = response.data?.nextPageToken;
@@ -163,29 +153,364 @@ class TeleporterService {
     }
 
     /**
-     * Fetch chain data and create chainId to chainName mapping
-     * @returns {Promise<Object>} Mapping of chainId to chainName
+     * Build request headers for the Glacier API
+     * @returns {Object} Headers including the API key when configured
      */
-    async getChainMapping() {
+    getGlacierHeaders() {
+        const headers = {
+            'Accept': 'application/json',
+            'User-Agent': 'l1beat-backend'
+        };
+
+        if (this.GLACIER_API_KEY) {
+            headers['x-glacier-api-key'] = this.GLACIER_API_KEY;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Fetch only ICM messages newer than the persisted ingestion cursor
+     * Concurrent callers (daily and weekly updates) share the same run per network
+     * @param {string} [network] - mainnet or fuji
+     * @returns {Promise<Array>} Messages fetched in this run
+     */
+    async ingestNewMessages(network = 'mainnet') {
+        if (!this.ingestionPromises.has(network)) {
+            this.ingestionPromises.set(network, this.runIncrementalIngestion(network).finally(() => {
+                this.ingestionPromises.delete(network);
+            }));
+        }
+        return this.ingestionPromises.get(network);
+    }
+
+    /**
+     * Page Glacier from the newest message back to the ingestion cursor
+     * If the run hits the page limit, the pageToken is saved so the next run resumes
+     * where this one stopped instead of starting over
+     * @param {string} [network] - mainnet or fuji, each with its own cursor
+     * @returns {Promise<Array>} Messages fetched in this run
+     */
+    async runIncrementalIngestion(network = 'mainnet') {
+        const { initialLookbackHours, overlapMinutes, maxPagesPerRun, pageDelay } = config.teleporter.ingestion;
+
+        let state = await TeleporterUpdateState.findOne({ updateType: 'ingestion', ...getNetworkQuery(network) });
+        if (!state) {
+            state = new TeleporterUpdateState({ updateType: 'ingestion', network });
+        }
+
+        const toSeconds = (date) => date ? Math.floor(new Date(date).getTime() / 1000) : null;
+        const nowSeconds = Math.floor(Date.now() / 1000);
+        const latestSeconds = toSeconds(state.cursor.latestTimestamp);
+        const resuming = !!state.cursor.pageToken;
+
+        // Re-check a small overlap before the cursor to catch messages Glacier indexed late
+        const params = {
+            startTime: resuming
+                ? state.cursor.windowStart
+                : (latestSeconds !== null ? latestSeconds - overlapMinutes * 60 : nowSeconds - initialLookbackHours * 60 * 60),
+            endTime: resuming ? state.cursor.windowEnd : nowSeconds,
+            network,
+            pageSize: 100
+        };
+
+        logger.info('[TELEPORTER INGEST] Starting incremental ICM ingestion', {
+            network,
+            resuming,
+            cursor: state.cursor.latestTimestamp,
+            startTimeISO: new Date(params.startTime * 1000).toISOString(),
+            endTimeISO: new Date(params.endTime * 1000).toISOString()
+        });
+
+        state.state = 'in_progress';
+        state.startedAt = new Date();
+        state.lastUpdatedAt = new Date();
+        state.error = undefined;
+        await state.save();
+
+        let fetchedMessages = [];
+        let newestSeconds = toSeconds(state.cursor.pendingLatestTimestamp);
+        let nextPageToken = resuming ? state.cursor.pageToken : null;
+        let pageCount = 0;
+        let reachedCursor = false;
+
         try {
-            // Check if we have cached mapping (cache for 1 hour)
-            if (this.chainMapping && this.chainMappingLastUpdate && 
-                (Date.now() - this.chainMappingLastUpdate) < (60 * 60 * 1000)) {
-                return this.chainMapping;
+            do {
+                pageCount++;
+
+                if (nextPageToken) {
+                    params.pageToken = nextPageToken;
+                }
+
+                const response = await axios.get(`${this.GLACIER_API_BASE}/icm/messages`, {
+                    headers: this.getGlacierHeaders(),
+                    params,
+                    timeout: this.TIMEOUT
+                });
+
+                const messages = response.data?.messages || [];
+                const pageMessages = [];
+
+                for (const message of messages) {
+                    const timestampInSeconds = this.getMessageTimestamp(message);
+
+                    if (timestampInSeconds && timestampInSeconds < params.startTime) {
+                        reachedCursor = true;
+                        break;
+                    }
+
+                    if (timestampInSeconds && (newestSeconds === null || timestampInSeconds > newestSeconds)) {
+                        newestSeconds = timestampInSeconds;
+                    }
+                    pageMessages.push(message);
+                }
+
+                await this.storeMessages(pageMessages, network);
+                fetchedMessages = fetchedMessages.concat(pageMessages);
+                nextPageToken = response.data?.nextPageToken;
+
+                logger.info(`[TELEPORTER INGEST] Fetched page ${pageCount}, got ${messages.length} messages (${pageMessages.length} new)`, {
+                    totalMessages: fetchedMessages.length,
+                    hasNextPage: !!nextPageToken,
+                    reachedCursor
+                });
+
+                if (reachedCursor || pageCount >= maxPagesPerRun) {
+                    break;
+                }
+
+                if (nextPageToken) {
+                    state.lastUpdatedAt = new Date();
+                    state.progress.messagesCollected = fetchedMessages.length;
+                    await state.save();
+                    await new Promise(resolve => setTimeout(resolve, pageDelay));
+                }
+            } while (nextPageToken);
+        } catch (error) {
+            logger.error('[TELEPORTER INGEST] Error during incremental ingestion:', {
+                message: error.message,
+                status: error.response?.status,
+                pages: pageCount
+            });
+
+            // A rejected pageToken can't be resumed from, so start again from the head next run
+            if (resuming && error.response?.status === 400) {
+                state.cursor.pageToken = undefined;
+                state.cursor.windowStart = undefined;
+                state.cursor.windowEnd = undefined;
             }
 
-            logger.info('Fetching chain data for name mapping...');
-            
-            // Fetch chain data from our own API
-            const response = await axios.get(`http://localhost:${process.env.PORT || 5001}/api/chains`, {
-                timeout: this.TIMEOUT,
-                headers: {
-                    'Accept': 'application/json',
-                    'User-Agent': 'l1beat-backend-internal'
+            state.state = 'failed';
+            state.lastUpdatedAt = new Date();
+            state.error = { message: error.message };
+            await state.save();
+            throw error;
+        }
+
+        const complete = reachedCursor || !nextPageToken;
+
+        if (complete) {
+            // Everything down to the cursor is stored, so advance it
+            const advancedSeconds = Math.max(newestSeconds ?? 0, latestSeconds ?? 0) || params.endTime;
+            state.cursor.latestTimestamp = new Date(advancedSeconds * 1000);
+            state.cursor.pageToken = undefined;
+            state.cursor.pendingLatestTimestamp = undefined;
+            state.cursor.windowStart = undefined;
+            state.cursor.windowEnd = undefined;
+        } else {
+            // Hit the page limit: keep the old cursor and resume from here next run
+            logger.warn(`[TELEPORTER INGEST] Reached page limit (${maxPagesPerRun}), will resume next run`);
+            state.cursor.pageToken = nextPageToken;
+            state.cursor.pendingLatestTimestamp = newestSeconds !== null ? new Date(newestSeconds * 1000) : undefined;
+            state.cursor.windowStart = params.startTime;
+            state.cursor.windowEnd = params.endTime;
+        }
+
+        state.state = 'completed';
+        state.lastUpdatedAt = new Date();
+        state.progress.messagesCollected = fetchedMessages.length;
+        await state.save();
+
+        logger.info(`[TELEPORTER INGEST] Completed incremental ingestion: ${fetchedMessages.length} messages from ${pageCount} pages`, {
+            complete,
+            cursor: state.cursor.latestTimestamp
+        });
+
+        return fetchedMessages;
+    }
+
+    /**
+     * Get the send time of an ICM message in seconds
+     * @param {Object} message - ICM message from Glacier
+     * @returns {number|null} Unix timestamp in seconds, or null if unknown
+     */
+    getMessageTimestamp(message) {
+        let messageTimestamp = null;
+
+        // Try to get timestamp from sourceTransaction first, then fallback to message timestamp
+        if (message.sourceTransaction && message.sourceTransaction.timestamp) {
+            messageTimestamp = message.sourceTransaction.timestamp;
+        } else if (message.timestamp) {
+            messageTimestamp = message.timestamp;
+        }
+
+        if (!messageTimestamp) {
+            return null;
+        }
+
+        // Convert timestamp to seconds if it's in milliseconds
+        return messageTimestamp > 1000000000000
+            ? Math.floor(messageTimestamp / 1000)
+            : messageTimestamp;
+    }
+
+    /**
+     * Convert a Glacier ICM message into the fields stored on IcmMessage
+     * @param {Object} message - ICM message from Glacier
+     * @param {string} [network] - Network the message was fetched from
+     * @returns {Object} Flattened message fields (undefined where Glacier has no value)
+     */
+    normalizeMessage(message, network = 'mainnet') {
+        const toDate = (timestamp) => {
+            if (!timestamp) return undefined;
+            const seconds = timestamp > 1000000000000 ? Math.floor(timestamp / 1000) : timestamp;
+            return new Date(seconds * 1000);
+        };
+        const sourceTimestamp = this.getMessageTimestamp(message);
+
+        return {
+            messageId: message.messageId,
+            network,
+            sourceEvmChainId: message.sourceEvmChainId ? String(message.sourceEvmChainId) : undefined,
+            destinationEvmChainId: message.destinationEvmChainId ? String(message.destinationEvmChainId) : undefined,
+            sourceBlockchainId: message.sourceBlockchainId,
+            destinationBlockchainId: message.destinationBlockchainId,
+            sourceTxHash: message.sourceTransaction?.txHash,
+            destinationTxHash: message.destinationTransaction?.txHash,
+            sourceTimestamp: sourceTimestamp ? new Date(sourceTimestamp * 1000) : undefined,
+            destinationTimestamp: toDate(message.destinationTransaction?.timestamp),
+            status: message.status,
+            from: message.from,
+            to: message.to
+        };
+    }
+
+    /**
+     * Upsert ICM messages into the IcmMessage collection, keyed on messageId
+     * @param {Array} messages - Array of ICM messages from Glacier
+     * @param {string} [network] - Network the messages were fetched from, set on new messages only
+     * @returns {Promise<Object|null>} Bulk write result, or null if nothing to store
+     */
+    async storeMessages(messages, network = 'mainnet') {
+        const now = new Date();
+        const operations = [];
+
+        for (const message of messages) {
+            if (!message.messageId) {
+                continue; // Cannot store a message we can't key
+            }
+
+            const { network: messageNetwork, ...fields } = this.normalizeMessage(message, network);
+            const $set = { lastSeenAt: now };
+            for (const [key, value] of Object.entries(fields)) {
+                if (value !== undefined) {
+                    $set[key] = value;
+                }
+            }
+
+            // A stored message keeps the network it was first ingested from
+            const $setOnInsert = { firstSeenAt: now, network: messageNetwork };
+            if (fields.sourceTimestamp) {
+                $set.timestamp = fields.sourceTimestamp;
+            } else {
+                // Without a send time, window the message by when we first saw it
+                $setOnInsert.timestamp = now;
+            }
+
+            operations.push({
+                updateOne: {
+                    filter: { messageId: fields.messageId },
+                    update: { $set, $setOnInsert },
+                    upsert: true
                 }
             });
+        }
 
-            const chains = response.data || [];
+        if (operations.length === 0) {
+            return null;
+        }
+
+        const result = await IcmMessage.bulkWrite(operations, { ordered: false });
+
+        logger.info(`Stored ${operations.length} ICM messages`, {
+            matched: result.matchedCount,
+            modified: result.modifiedCount,
+            upserted: result.upsertedCount
+        });
+
+        return result;
+    }
+
+    /**
+     * Count stored ICM messages by chain pair within a time window
+     * Pairs are keyed by EVM chain ID; names are resolved at read time
+     * @param {Date} startDate - Start of the window (inclusive)
+     * @param {Date} endDate - End of the window (inclusive)
+     * @param {string} [network] - mainnet or fuji
+     * @returns {Promise<Object>} { messageCounts, totalMessages }
+     */
+    async getStoredMessageCounts(startDate, endDate, network = 'mainnet') {
+        const match = { timestamp: { $gte: startDate, $lte: endDate }, ...getNetworkQuery(network) };
+
+        const [pairs, totalMessages] = await Promise.all([
+            IcmMessage.aggregate([
+                {
+                    $match: {
+                        ...match,
+                        sourceEvmChainId: { $ne: null },
+                        destinationEvmChainId: { $ne: null }
+                    }
+                },
+                {
+                    $group: {
+                        _id: {
+                            source: '$sourceEvmChainId',
+                            destination: '$destinationEvmChainId'
+                        },
+                        sourceBlockchainId: { $first: '$sourceBlockchainId' },
+                        destinationBlockchainId: { $first: '$destinationBlockchainId' },
+                        messageCount: { $sum: 1 }
+                    }
+                },
+                { $sort: { messageCount: -1 } }
+            ]),
+            IcmMessage.countDocuments(match)
+        ]);
+
+        const messageCounts = pairs.map(pair => ({
+            sourceEvmChainId: pair._id.source,
+            destinationEvmChainId: pair._id.destination,
+            sourceBlockchainId: pair.sourceBlockchainId,
+            destinationBlockchainId: pair.destinationBlockchainId,
+            messageCount: pair.messageCount
+        }));
+
+        return { messageCounts, totalMessages };
+    }
+
+    /**
+     * Build a chainId to chainName mapping from the Chain collection
+     * @returns {Promise<Object>} Mapping of EVM chainId to chainName
+     */
+    async getChainMapping() {
+        try {
+            // Check if we have a cached mapping
+            if (this.chainMapping && this.chainMappingLastUpdate && 
+                (Date.now() - this.chainMappingLastUpdate) < config.cache.chains) {
+                return this.chainMapping;
+            }
+
+            const chains = await Chain.find().select('chainId chainName').lean();
             const mapping = {};
 
             for (const chain of chains) {
@@ -198,43 +523,73 @@ class TeleporterService {
             this.chainMapping = mapping;
             this.chainMappingLastUpdate = Date.now();
 
-            logger.info(`Created chain mapping for ${Object.keys(mapping).length} chains`);
+            logger.debug(`Created chain mapping for ${Object.keys(mapping).length} chains`);
             return mapping;
 
         } catch (error) {
-            logger.error('Error fetching chain mapping:', error);
-            // Return empty mapping as fallback
+            logger.error('Error building chain mapping:', { error: error.message });
+            // Return the last known mapping as fallback
             return this.chainMapping || {};
         }
     }
 
+    /**
+     * Resolve the display name for an EVM chain ID
+     * @param {string} evmChainId - EVM chain ID
+     * @param {Object} chainMapping - Mapping of chainId to chainName
+     * @param {string} [fallbackName] - Name stored on legacy records without a chain ID
+     * @returns {string|null} Chain name, "Chain {id}" for unknown chains
+     */
+    getChainName(evmChainId, chainMapping, fallbackName = null) {
+        if (!evmChainId) {
+            return fallbackName;
+        }
+        return chainMapping[evmChainId] || `Chain ${evmChainId}`;
+    }
+
+    /**
+     * Attach current chain names to stored messageCounts entries
+     * @param {Array} messageCounts - messageCounts from a TeleporterMessage snapshot
+     * @param {Object} chainMapping - Mapping of chainId to chainName
+     * @returns {Array} Entries with names and chain IDs
+     */
+    formatMessageCounts(messageCounts, chainMapping) {
+        return messageCounts.map(item => ({
+            sourceChain: this.getChainName(item.sourceEvmChainId, chainMapping, item.sourceChain),
+            destinationChain: this.getChainName(item.destinationEvmChainId, chainMapping, item.destinationChain),
+            sourceEvmChainId: item.sourceEvmChainId || null,
+            destinationEvmChainId: item.destinationEvmChainId || null,
+            sourceBlockchainId: item.sourceBlockchainId || null,
+            destinationBlockchainId: item.destinationBlockchainId || null,
+            messageCount: item.messageCount
+        }));
+    }
+
     /**
      * Process messages to count by chain pairs
      * @param {Array} messages - Array of ICM messages
-     * @returns {Array} Processed message counts
+     * @returns {Array} Processed message counts keyed by EVM chain ID
      */
     async processMessages(messages) {
         const counts = {};
 
         logger.info(`Processing ${messages.length} ICM messages`);
 
-        // Get chain mapping
-        const chainMapping = await this.getChainMapping();
-
         for (const message of messages) {
             if (!message.sourceEvmChainId || !message.destinationEvmChainId) {
                 continue; // Skip messages without chain IDs
             }
 
-            // Use chain names if available, fallback to "Chain {id}" format
-            const sourceChain = chainMapping[message.sourceEvmChainId] || `Chain ${message.sourceEvmChainId}`;
-            const destinationChain = chainMapping[message.destinationEvmChainId] || `Chain ${message.destinationEvmChainId}`;
-            const key = `${sourceChain}|${destinationChain}`;
+            const sourceEvmChainId = String(message.sourceEvmChainId);
+            const destinationEvmChainId = String(message.destinationEvmChainId);
+            const key = `${sourceEvmChainId}|${destinationEvmChainId}`;
 
             if (!counts[key]) {
                 counts[key] = {
-                    sourceChain,
-                    destinationChain,
+                    sourceEvmChainId,
+                    destinationEvmChainId,
+                    sourceBlockchainId: message.sourceBlockchainId,
+                    destinationBlockchainId: message.destinationBlockchainId,
                     messageCount: 0
                 };
             }
@@ -243,21 +598,24 @@ class TeleporterService {
 
         const result = Object.values(counts).sort((a, b) => b.messageCount - a.messageCount);
         
-        logger.info(`Processed messages into ${result.length} chain pairs with actual chain names`);
+        logger.info(`Processed messages into ${result.length} chain pairs`);
         return result;
     }
 
     /**
      * Update daily teleporter data
+     * @param {string} [network] - mainnet or fuji
      */
-    async updateDailyData() {
+    async updateDailyData(network = 'mainnet') {
+        const networkQuery = getNetworkQuery(network);
         try {
-            logger.info('[TELEPORTER DAILY] Starting daily teleporter data update (last 24 hours)');
+            logger.info(`[TELEPORTER DAILY] Starting ${network} daily teleporter data update (last 24 hours)`);
 
             // Check if update is already in progress
             const existingUpdate = await TeleporterUpdateState.findOne({
                 updateType: 'daily',
-                state: 'in_progress'
+                state: 'in_progress',
+                ...networkQuery
             });
 
             if (existingUpdate) {
@@ -277,6 +635,7 @@ class TeleporterService {
             // Create new update state
             const updateState = new TeleporterUpdateState({
                 updateType: 'daily',
+                network,
                 state: 'in_progress',
                 startedAt: new Date(),
                 lastUpdatedAt: new Date()
@@ -284,11 +643,21 @@ class TeleporterService {
             await updateState.save();
 
             logger.info('[TELEPORTER DAILY] Fetching ICM messages for last 24 hours...');
-            // Fetch and process messages
-            const messages = await this.fetchICMMessages(24);
+            // Fetch messages into the IcmMessage collection
+            const windowEnd = new Date();
+            const windowStart = new Date(windowEnd.getTime() - 24 * 60 * 60 * 1000);
+            const messages = config.teleporter.ingestion.incremental
+                ? await this.ingestNewMessages(network)
+                : await this.fetchICMMessages(24, network);
             logger.info(`[TELEPORTER DAILY] Fetched ${messages.length} raw messages from Glacier API`);
             
-            const processedData = await this.processMessages(messages);
+            // Pick up deliveries for messages that were still pending when first ingested
+            await this.refreshPendingMessages(network).catch(err => {
+                logger.error('[TELEPORTER DAILY] Pending message refresh failed:', { error: err.message });
+            });
+
+            // Derive the snapshot from stored messages
+            const { messageCounts: processedData, totalMessages } = await this.getStoredMessageCounts(windowStart, windowEnd, network);
             logger.info(`[TELEPORTER DAILY] Processed into ${processedData.length} unique chain pairs`);
 
             // Clean up old daily data (older than 90 days) to prevent database bloat
@@ -297,6 +666,7 @@ class TeleporterService {
             
             const deletedCount = await TeleporterMessage.deleteMany({ 
                 dataType: 'daily',
+                ...networkQuery,
                 updatedAt: { $lt: ninetyDaysAgo }
             });
             
@@ -311,6 +681,7 @@ class TeleporterService {
             
             const existingTodayData = await TeleporterMessage.findOne({
                 dataType: 'daily',
+                ...networkQuery,
                 updatedAt: { $gte: todayStart, $lt: todayEnd }
             });
 
@@ -318,7 +689,7 @@ class TeleporterService {
                 // Update existing data for today
                 existingTodayData.updatedAt = new Date();
                 existingTodayData.messageCounts = processedData;
-                existingTodayData.totalMessages = messages.length;
+                existingTodayData.totalMessages = totalMessages;
                 existingTodayData.timeWindow = 24;
                 await existingTodayData.save();
                 logger.info(`[TELEPORTER DAILY] Updated existing daily snapshot for today`);
@@ -327,9 +698,10 @@ class TeleporterService {
                 const teleporterData = new TeleporterMessage({
                     updatedAt: new Date(),
                     messageCounts: processedData,
-                    totalMessages: messages.length,
+                    totalMessages,
                     timeWindow: 24,
-                    dataType: 'daily'
+                    dataType: 'daily',
+                    network
                 });
                 await teleporterData.save();
                 logger.info(`[TELEPORTER DAILY] Created new daily snapshot`);
@@ -340,19 +712,19 @@ class TeleporterService {
             updateState.lastUpdatedAt = new Date();
             await updateState.save();
 
-            logger.info(`[TELEPORTER DAILY] ✅ Successfully completed daily update: ${messages.length} messages, ${processedData.length} chain pairs`);
+            logger.info(`[TELEPORTER DAILY] ✅ Successfully completed ${network} daily update: ${totalMessages} messages, ${processedData.length} chain pairs`);
 
             return {
                 success: true,
                 messageCount: processedData.length,
-                totalMessages: messages.length
+                totalMessages
             };
 
         } catch (error) {
-            logger.error('[TELEPORTER DAILY] ❌ Error updating daily data:', error);
+            logger.error(`[TELEPORTER DAILY] ❌ Error updating ${network} daily data:`, error);
 
             // Update state to failed
-            const updateState = await TeleporterUpdateState.findOne({ updateType: 'daily' });
+            const updateState = await TeleporterUpdateState.findOne({ updateType: 'daily', ...networkQuery });
             if (updateState) {
                 updateState.state = 'failed';
                 updateState.error = { message: error.message };
@@ -366,15 +738,18 @@ class TeleporterService {
 
     /**
      * Update weekly teleporter data (last 7 days)
+     * @param {string} [network] - mainnet or fuji
      */
-    async updateWeeklyData() {
+    async updateWeeklyData(network = 'mainnet') {
+        const networkQuery = getNetworkQuery(network);
         try {
-            logger.info('[TELEPORTER WEEKLY] Starting weekly teleporter data update (last 7 days)');
+            logger.info(`[TELEPORTER WEEKLY] Starting ${network} weekly teleporter data update (last 7 days)`);
 
             // Check if update is already in progress
             const existingUpdate = await TeleporterUpdateState.findOne({
                 updateType: 'weekly',
-                state: 'in_progress'
+                state: 'in_progress',
+                ...networkQuery
             });
 
             if (existingUpdate) {
@@ -394,6 +769,7 @@ class TeleporterService {
             // Create new update state
             const updateState = new TeleporterUpdateState({
                 updateType: 'weekly',
+                network,
                 state: 'in_progress',
                 startedAt: new Date(),
                 lastUpdatedAt: new Date()
@@ -402,21 +778,27 @@ class TeleporterService {
 
             // Fetch and process messages for the last 7 days (168 hours)
             logger.info('[TELEPORTER WEEKLY] Fetching ICM messages for last 7 days (168 hours)...');
-            const messages = await this.fetchICMMessages(168); // 7 * 24 = 168 hours
+            const windowEnd = new Date();
+            const windowStart = new Date(windowEnd.getTime() - 168 * 60 * 60 * 1000);
+            const messages = config.teleporter.ingestion.incremental
+                ? await this.ingestNewMessages(network)
+                : await this.fetchICMMessages(168, network); // 7 * 24 = 168 hours
             logger.info(`[TELEPORTER WEEKLY] Fetched ${messages.length} raw messages from Glacier API`);
             
-            const processedData = await this.processMessages(messages);
+            // Derive the snapshot from stored messages
+            const { messageCounts: processedData, totalMessages } = await this.getStoredMessageCounts(windowStart, windowEnd, network);
             logger.info(`[TELEPORTER WEEKLY] Processed into ${processedData.length} unique chain pairs`);
 
             // Save to database (replace existing weekly data)
-            await TeleporterMessage.deleteMany({ dataType: 'weekly' });
+            await TeleporterMessage.deleteMany({ dataType: 'weekly', ...networkQuery });
             
             const teleporterData = new TeleporterMessage({
                 updatedAt: new Date(),
                 messageCounts: processedData,
-                totalMessages: messages.length,
+                totalMessages,
                 timeWindow: 168,
-                dataType: 'weekly'
+                dataType: 'weekly',
+                network
             });
             await teleporterData.save();
 
@@ -425,19 +807,19 @@ class TeleporterService {
             updateState.lastUpdatedAt = new Date();
             await updateState.save();
 
-            logger.info(`[TELEPORTER WEEKLY] ✅ Successfully completed weekly update: ${messages.length} messages, ${processedData.length} chain pairs`);
+            logger.info(`[TELEPORTER WEEKLY] ✅ Successfully completed ${network} weekly update: ${totalMessages} messages, ${processedData.length} chain pairs`);
 
             return {
                 success: true,
                 messageCount: processedData.length,
-                totalMessages: messages.length
+                totalMessages
             };
 
         } catch (error) {
-            logger.error('[TELEPORTER WEEKLY] ❌ Error updating weekly data:', error);
+            logger.error(`[TELEPORTER WEEKLY] ❌ Error updating ${network} weekly data:`, error);
 
             // Update state to failed
-            const updateState = await TeleporterUpdateState.findOne({ updateType: 'weekly' });
+            const updateState = await TeleporterUpdateState.findOne({ updateType: 'weekly', ...networkQuery });
             if (updateState) {
                 updateState.state = 'failed';
                 updateState.error = { message: error.message };
@@ -451,12 +833,13 @@ class TeleporterService {
 
     /**
      * Get daily message counts
+     * @param {string} [network] - mainnet or fuji
      * @returns {Promise<Object>} Daily message count data
      */
-    async getDailyMessageCounts() {
+    async getDailyMessageCounts(network = 'mainnet') {
         try {
             // Get from database first
-            const data = await TeleporterMessage.findOne({ dataType: 'daily' })
+            const data = await TeleporterMessage.findOne({ dataType: 'daily', ...getNetworkQuery(network) })
                 .sort({ updatedAt: -1 });
 
             if (data) {
@@ -465,18 +848,17 @@ class TeleporterService {
                 // If data is older than 1 hour, trigger background update
                 if (age > this.UPDATE_INTERVAL) {
                     logger.info('[TELEPORTER DAILY] Data is older than 1 hour, triggering background update');
-                    this.updateDailyData().catch(err => {
+                    this.updateDailyData(network).catch(err => {
                         logger.error('[TELEPORTER DAILY] Background update failed:', err);
                     });
                 }
 
+                const chainMapping = await this.getChainMapping();
+
                 return {
-                    data: data.messageCounts.map(item => ({
-                        sourceChain: item.sourceChain,
-                        destinationChain: item.destinationChain,
-                        messageCount: item.messageCount
-                    })),
+                    data: this.formatMessageCounts(data.messageCounts, chainMapping),
                     metadata: {
+                        network,
                         totalMessages: data.totalMessages,
                         timeWindow: data.timeWindow,
                         timeWindowUnit: 'hours',
@@ -487,13 +869,14 @@ class TeleporterService {
 
             // If no data exists, trigger update and return empty result
             logger.info('[TELEPORTER DAILY] No daily data found, triggering initial update');
-            this.updateDailyData().catch(err => {
+            this.updateDailyData(network).catch(err => {
                 logger.error('[TELEPORTER DAILY] Initial update failed:', err);
             });
 
             return {
                 data: [],
                 metadata: {
+                    network,
                     totalMessages: 0,
                     timeWindow: 24,
                     timeWindowUnit: 'hours',
@@ -509,12 +892,13 @@ class TeleporterService {
 
     /**
      * Get weekly message counts (last 7 days)
+     * @param {string} [network] - mainnet or fuji
      * @returns {Promise<Object>} Weekly message count data
      */
-    async getWeeklyMessageCounts() {
+    async getWeeklyMessageCounts(network = 'mainnet') {
         try {
             // Get from database first
-            const data = await TeleporterMessage.findOne({ dataType: 'weekly' })
+            const data = await TeleporterMessage.findOne({ dataType: 'weekly', ...getNetworkQuery(network) })
                 .sort({ updatedAt: -1 });
 
             if (data) {
@@ -523,18 +907,17 @@ class TeleporterService {
                 // If data is older than 6 hours, trigger background update (weekly data doesn't need to be as fresh)
                 if (age > 6 * 60 * 60 * 1000) {
                     logger.info('[TELEPORTER WEEKLY] Weekly data is older than 6 hours, triggering background update');
-                    this.updateWeeklyData().catch(err => {
+                    this.updateWeeklyData(network).catch(err => {
                         logger.error('[TELEPORTER WEEKLY] Background weekly update failed:', err);
                     });
                 }
 
+                const chainMapping = await this.getChainMapping();
+
                 return {
-                    data: data.messageCounts.map(item => ({
-                        sourceChain: item.sourceChain,
-                        destinationChain: item.destinationChain,
-                        messageCount: item.messageCount
-                    })),
+                    data: this.formatMessageCounts(data.messageCounts, chainMapping),
                     metadata: {
+                        network,
                         totalMessages: data.totalMessages,
                         timeWindow: data.timeWindow,
                         timeWindowUnit: 'hours',
@@ -545,13 +928,14 @@ class TeleporterService {
 
             // If no data exists, trigger update and return empty result
             logger.info('[TELEPORTER WEEKLY] No weekly data found, triggering initial update');
-            this.updateWeeklyData().catch(err => {
+            this.updateWeeklyData(network).catch(err => {
                 logger.error('[TELEPORTER WEEKLY] Initial weekly update failed:', err);
             });
 
             return {
                 data: [],
                 metadata: {
+                    network,
                     totalMessages: 0,
                     timeWindow: 168,
                     timeWindowUnit: 'hours',
@@ -568,11 +952,12 @@ class TeleporterService {
     /**
      * Legacy method to maintain compatibility with existing controller
      * @param {string} requestId - Optional request ID for tracking
+     * @param {string} [network] - mainnet or fuji
      * @returns {Promise<Array>} Array of message counts
      */
-    async getDailyCrossChainMessageCount(requestId = 'unknown') {
+    async getDailyCrossChainMessageCount(requestId = 'unknown', network = 'mainnet') {
         try {
-            const result = await this.getDailyMessageCounts();
+            const result = await this.getDailyMessageCounts(network);
             return result.data;
         } catch (error) {
             logger.error('Error in legacy getDailyCrossChainMessageCount:', error);
@@ -582,11 +967,12 @@ class TeleporterService {
 
     /**
      * Legacy method to maintain compatibility with existing controller
+     * @param {string} [network] - mainnet or fuji
      * @returns {Promise<Array>} Array of weekly message counts
      */
-    async getWeeklyCrossChainMessageCount() {
+    async getWeeklyCrossChainMessageCount(network = 'mainnet') {
         try {
-            const result = await this.getWeeklyMessageCounts();
+            const result = await this.getWeeklyMessageCounts(network);
             return result.data;
         } catch (error) {
             logger.error('Error in legacy getWeeklyCrossChainMessageCount:', error);
@@ -596,11 +982,13 @@ class TeleporterService {
 
     /**
      * Legacy method to maintain compatibility
+     * @param {string} [dataType] - daily or weekly
+     * @param {string} [network] - mainnet or fuji
      * @returns {Promise<Object|null>} Message count data or null
      */
-    async getAnyMessageCountFromDB(dataType = 'daily') {
+    async getAnyMessageCountFromDB(dataType = 'daily', network = 'mainnet') {
         try {
-            const data = await TeleporterMessage.findOne({ dataType })
+            const data = await TeleporterMessage.findOne({ dataType, ...getNetworkQuery(network) })
                 .sort({ updatedAt: -1 });
             return data;
         } catch (error) {
@@ -641,19 +1029,33 @@ class TeleporterService {
 
     /**
      * Legacy method for backward compatibility with existing cron jobs
+     * Runs the daily update for every enabled network; a failing testnet
+     * update doesn't stop mainnet from being refreshed
      * @param {string} requestId - Optional request ID for tracking
-     * @returns {Promise<Object>} Update result
+     * @returns {Promise<Object>} Mainnet update result, with per-network results under `networks`
      */
     async updateTeleporterData(requestId = 'unknown') {
-        return await this.updateDailyData();
+        const networks = {};
+        for (const network of getEnabledNetworks()) {
+            try {
+                networks[network] = await this.updateDailyData(network);
+            } catch (error) {
+                if (network === 'mainnet') {
+                    throw error;
+                }
+                networks[network] = { success: false, error: error.message };
+            }
+        }
+        return { ...networks.mainnet, networks };
     }
 
     /**
      * Get historical daily cross-chain message counts for the past N days
      * @param {number} days - Number of days to retrieve (default: 30)
+     * @param {string} [network] - mainnet or fuji
      * @returns {Promise<Array>} Array of historical daily data
      */
-    async getHistoricalDailyData(days = 30) {
+    async getHistoricalDailyData(days = 30, network = 'mainnet') {
         try {
             logger.info(`[TELEPORTER HISTORICAL] Fetching historical daily data for last ${days} days`);
             
@@ -664,6 +1066,7 @@ class TeleporterService {
             // Query for historical daily snapshots
             const historicalData = await TeleporterMessage.find({
                 dataType: 'daily',
+                ...getNetworkQuery(network),
                 updatedAt: { $gte: dateThreshold }
             })
             .sort({ updatedAt: -1 })
@@ -686,8 +1089,13 @@ class TeleporterService {
             });
             
             // Convert back to array and sort by date (most recent first)
+            const chainMapping = await this.getChainMapping();
             const uniqueDailyData = Array.from(groupedByDate.values())
-                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+                .map(entry => ({
+                    ...entry,
+                    messageCounts: this.formatMessageCounts(entry.messageCounts, chainMapping)
+                }));
             
             logger.info(`[TELEPORTER HISTORICAL] Returning ${uniqueDailyData.length} unique daily snapshots`);
             
@@ -698,6 +1106,635 @@ class TeleporterService {
             throw error;
         }
     }
+
+    /**
+     * Shape a stored ICM message for API responses
+     * @param {Object} message - Lean IcmMessage document
+     * @param {Object} chainMapping - Mapping of chainId to chainName
+     * @returns {Object} Message with chain names and transaction details
+     */
+    formatMessage(message, chainMapping = {}) {
+        return {
+            messageId: message.messageId,
+            network: message.network || 'mainnet',
+            status: message.status || null,
+            timestamp: message.timestamp,
+            sourceEvmChainId: message.sourceEvmChainId || null,
+            destinationEvmChainId: message.destinationEvmChainId || null,
+            sourceBlockchainId: message.sourceBlockchainId || null,
+            destinationBlockchainId: message.destinationBlockchainId || null,
+            sourceChain: this.getChainName(message.sourceEvmChainId, chainMapping),
+            destinationChain: this.getChainName(message.destinationEvmChainId, chainMapping),
+            from: message.from || null,
+            to: message.to || null,
+            sourceTransaction: message.sourceTxHash ? {
+                txHash: message.sourceTxHash,
+                timestamp: message.sourceTimestamp || null
+            } : null,
+            destinationTransaction: message.destinationTxHash ? {
+                txHash: message.destinationTxHash,
+                timestamp: message.destinationTimestamp || null
+            } : null
+        };
+    }
+
+    /**
+     * List stored ICM messages with filters and cursor pagination (newest first)
+     * @param {Object} filters - Query filters
+     * @param {string} [filters.sourceChainId] - Source EVM chain ID
+     * @param {string} [filters.destinationChainId] - Destination EVM chain ID
+     * @param {string} [filters.status] - Glacier delivery status
+     * @param {number} [filters.from] - Start of time range (unix seconds)
+     * @param {number} [filters.to] - End of time range (unix seconds)
+     * @param {number} [filters.limit] - Page size
+     * @param {string} [filters.cursor] - Cursor from a previous page
+     * @param {string} [filters.network] - mainnet or fuji
+     * @returns {Promise<Object>} { data, nextCursor, hasMore }
+     */
+    async getMessages({ sourceChainId, destinationChainId, status, from, to, limit = 50, cursor, network = 'mainnet' } = {}) {
+        const query = getNetworkQuery(network);
+
+        if (sourceChainId) query.sourceEvmChainId = String(sourceChainId);
+        if (destinationChainId) query.destinationEvmChainId = String(destinationChainId);
+        if (status) query.status = status;
+
+        if (from !== undefined || to !== undefined) {
+            query.timestamp = {};
+            if (from !== undefined) query.timestamp.$gte = new Date(from * 1000);
+            if (to !== undefined) query.timestamp.$lte = new Date(to * 1000);
+        }
+
+        // Continue strictly after the last message of the previous page
+        if (cursor) {
+            const { t, id } = decodeCursor(cursor);
+            const cursorTime = new Date(t);
+            if (!/^[a-f0-9]{24}$/.test(String(id)) || isNaN(cursorTime.getTime())) {
+                throw new Error('Invalid cursor');
+            }
+            query.$or = [
+                { timestamp: { $lt: cursorTime } },
+                { timestamp: cursorTime, _id: { $lt: id } }
+            ];
+        }
+
+        const [messages, chainMapping] = await Promise.all([
+            IcmMessage.find(query)
+                .sort({ timestamp: -1, _id: -1 })
+                .limit(limit + 1)
+                .lean(),
+            this.getChainMapping()
+        ]);
+
+        const hasMore = messages.length > limit;
+        const page = hasMore ? messages.slice(0, limit) : messages;
+        const last = page[page.length - 1];
+
+        return {
+            data: page.map(message => this.formatMessage(message, chainMapping)),
+            nextCursor: hasMore && last
+                ? encodeCursor({ t: new Date(last.timestamp).getTime(), id: String(last._id) })
+                : null,
+            hasMore
+        };
+    }
+
+    /**
+     * Fetch a single ICM message from Glacier and store it
+     * @param {string} messageId - Glacier message ID
+     * @param {string} [network] - Network to store the message under if it is new
+     * @returns {Promise<Object|null>} Raw Glacier message, or null if Glacier doesn't know it
+     */
+    async fetchMessageFromGlacier(messageId, network = 'mainnet') {
+        try {
+            const response = await axios.get(`${this.GLACIER_API_BASE}/icm/messages/${encodeURIComponent(messageId)}`, {
+                headers: this.getGlacierHeaders(),
+                timeout: this.TIMEOUT
+            });
+
+            const message = response.data;
+            if (!message || !message.messageId) {
+                return null;
+            }
+
+            await this.storeMessages([message], network);
+            return message;
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get a single ICM message by ID
+     * Messages not yet stored, or not yet delivered, are refreshed from Glacier.
+     * A message stored under another network is not found.
+     * @param {string} messageId - Glacier message ID
+     * @param {string} [network] - Network the message was sent on
+     * @returns {Promise<Object>} Formatted message
+     * @throws {Error} 'Message not found' if the message isn't known on the network
+     */
+    async getMessageById(messageId, network = 'mainnet') {
+        const query = { messageId, ...getNetworkQuery(network) };
+        let message = await IcmMessage.findOne({ messageId }).lean();
+
+        if (message && (message.network || 'mainnet') !== network) {
+            throw new Error('Message not found');
+        }
+
+        if (!message || message.status !== 'delivered') {
+            try {
+                const glacierMessage = await this.fetchMessageFromGlacier(messageId, network);
+                if (glacierMessage) {
+                    message = await IcmMessage.findOne(query).lean();
+                }
+            } catch (error) {
+                // Serve the stored copy if Glacier is unavailable
+                logger.warn(`Error refreshing ICM message ${messageId} from Glacier:`, { error: error.message });
+                if (!message) {
+                    throw error;
+                }
+            }
+        }
+
+        if (!message) {
+            throw new Error('Message not found');
+        }
+
+        const chainMapping = await this.getChainMapping();
+        return this.formatMessage(message, chainMapping);
+    }
+
+    /**
+     * Aggregation expression truncating the message timestamp to a bucket boundary (UTC)
+     * @param {string} granularity - hour, day or week (weeks start on Monday)
+     * @returns {Object} $dateTrunc expression
+     */
+    getBucketExpression(granularity) {
+        const expression = { date: '$timestamp', unit: granularity, timezone: 'UTC' };
+        if (granularity === 'week') {
+            expression.startOfWeek = 'monday';
+        }
+        return { $dateTrunc: expression };
+    }
+
+    /**
+     * List every bucket start between two dates so empty buckets can be filled with zeros
+     * @param {Date} startDate - Start of the range
+     * @param {Date} endDate - End of the range
+     * @param {string} granularity - hour, day or week
+     * @returns {Array<Date>} Bucket start times in ascending order
+     */
+    getBucketStarts(startDate, endDate, granularity) {
+        const first = new Date(startDate);
+        first.setUTCMinutes(0, 0, 0);
+        if (granularity !== 'hour') {
+            first.setUTCHours(0);
+        }
+        if (granularity === 'week') {
+            // Back up to Monday to match $dateTrunc with startOfWeek: 'monday'
+            first.setUTCDate(first.getUTCDate() - ((first.getUTCDay() + 6) % 7));
+        }
+
+        const stepMs = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 }[granularity];
+        const buckets = [];
+        for (let time = first.getTime(); time <= endDate.getTime(); time += stepMs) {
+            buckets.push(new Date(time));
+        }
+        return buckets;
+    }
+
+    /**
+     * Inbound and outbound ICM message stats for a single chain
+     * @param {string} chainId - EVM chain ID
+     * @param {Object} options - Query options
+     * @param {Date} options.startDate - Start of the window
+     * @param {Date} options.endDate - End of the window
+     * @param {string} options.granularity - Time series bucket size (hour, day or week)
+     * @param {string} [options.network] - mainnet or fuji
+     * @returns {Promise<Object>} Counts by counterparty and a time series
+     */
+    async getChainTeleporterStats(chainId, { startDate, endDate, granularity, network = 'mainnet' }) {
+        const id = String(chainId);
+
+        const [[result], chainMapping] = await Promise.all([
+            IcmMessage.aggregate([
+                {
+                    $match: {
+                        ...getNetworkQuery(network),
+                        timestamp: { $gte: startDate, $lte: endDate },
+                        $or: [{ sourceEvmChainId: id }, { destinationEvmChainId: id }]
+                    }
+                },
+                {
+                    $facet: {
+                        outbound: [
+                            { $match: { sourceEvmChainId: id } },
+                            { $group: { _id: '$destinationEvmChainId', messageCount: { $sum: 1 } } },
+                            { $sort: { messageCount: -1 } }
+                        ],
+                        inbound: [
+                            { $match: { destinationEvmChainId: id } },
+                            { $group: { _id: '$sourceEvmChainId', messageCount: { $sum: 1 } } },
+                            { $sort: { messageCount: -1 } }
+                        ],
+                        series: [
+                            {
+                                $group: {
+                                    _id: this.getBucketExpression(granularity),
+                                    outbound: { $sum: { $cond: [{ $eq: ['$sourceEvmChainId', id] }, 1, 0] } },
+                                    inbound: { $sum: { $cond: [{ $eq: ['$destinationEvmChainId', id] }, 1, 0] } }
+                                }
+                            }
+                        ]
+                    }
+                }
+            ]),
+            this.getChainMapping()
+        ]);
+
+        const byCounterparty = (groups) => groups.map(group => ({
+            chainId: group._id || null,
+            chainName: this.getChainName(group._id, chainMapping),
+            messageCount: group.messageCount
+        }));
+
+        const seriesByBucket = new Map(result.series.map(point => [new Date(point._id).getTime(), point]));
+        const series = this.getBucketStarts(startDate, endDate, granularity).map(bucket => {
+            const point = seriesByBucket.get(bucket.getTime());
+            return {
+                timestamp: Math.floor(bucket.getTime() / 1000),
+                date: bucket.toISOString(),
+                inbound: point ? point.inbound : 0,
+                outbound: point ? point.outbound : 0
+            };
+        });
+
+        const outbound = byCounterparty(result.outbound);
+        const inbound = byCounterparty(result.inbound);
+
+        return {
+            chainId: id,
+            chainName: chainMapping[id] || null,
+            network,
+            outbound: {
+                totalMessages: outbound.reduce((sum, item) => sum + item.messageCount, 0),
+                byCounterparty: outbound
+            },
+            inbound: {
+                totalMessages: inbound.reduce((sum, item) => sum + item.messageCount, 0),
+                byCounterparty: inbound
+            },
+            series
+        };
+    }
+
+    /**
+     * Message counts per chain pair bucketed over an arbitrary time range
+     * @param {Object} options - Query options
+     * @param {Date} options.startDate - Start of the range
+     * @param {Date} options.endDate - End of the range
+     * @param {string} options.granularity - Bucket size (hour, day or week)
+     * @param {string} [options.sourceChainId] - Source EVM chain ID
+     * @param {string} [options.destinationChainId] - Destination EVM chain ID
+     * @param {string} [options.network] - mainnet or fuji
+     * @returns {Promise<Object>} { series, totals, totalMessages }
+     */
+    async getMessageCountSeries({ startDate, endDate, granularity, sourceChainId, destinationChainId, network = 'mainnet' }) {
+        const match = {
+            ...getNetworkQuery(network),
+            timestamp: { $gte: startDate, $lte: endDate },
+            sourceEvmChainId: { $ne: null },
+            destinationEvmChainId: { $ne: null }
+        };
+        if (sourceChainId) match.sourceEvmChainId = String(sourceChainId);
+        if (destinationChainId) match.destinationEvmChainId = String(destinationChainId);
+
+        const [groups, chainMapping] = await Promise.all([
+            IcmMessage.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: {
+                            bucket: this.getBucketExpression(granularity),
+                            source: '$sourceEvmChainId',
+                            destination: '$destinationEvmChainId'
+                        },
+                        messageCount: { $sum: 1 }
+                    }
+                }
+            ]),
+            this.getChainMapping()
+        ]);
+
+        const toPair = (source, destination, messageCount) => ({
+            sourceChain: this.getChainName(source, chainMapping),
+            destinationChain: this.getChainName(destination, chainMapping),
+            sourceEvmChainId: source,
+            destinationEvmChainId: destination,
+            messageCount
+        });
+
+        // Split the groups into per-bucket pairs and range-wide totals
+        const byBucket = new Map();
+        const totalsByPair = new Map();
+        for (const group of groups) {
+            const { bucket, source, destination } = group._id;
+            const bucketTime = new Date(bucket).getTime();
+            if (!byBucket.has(bucketTime)) {
+                byBucket.set(bucketTime, []);
+            }
+            byBucket.get(bucketTime).push(toPair(source, destination, group.messageCount));
+
+            const pairKey = `${source}|${destination}`;
+            totalsByPair.set(pairKey, (totalsByPair.get(pairKey) || 0) + group.messageCount);
+        }
+
+        const series = this.getBucketStarts(startDate, endDate, granularity).map(bucket => {
+            const pairs = (byBucket.get(bucket.getTime()) || []).sort((a, b) => b.messageCount - a.messageCount);
+            return {
+                timestamp: Math.floor(bucket.getTime() / 1000),
+                date: bucket.toISOString(),
+                totalMessages: pairs.reduce((sum, pair) => sum + pair.messageCount, 0),
+                data: pairs
+            };
+        });
+
+        const totals = Array.from(totalsByPair.entries())
+            .map(([pairKey, messageCount]) => {
+                const [source, destination] = pairKey.split('|');
+                return toPair(source, destination, messageCount);
+            })
+            .sort((a, b) => b.messageCount - a.messageCount);
+
+        return {
+            series,
+            totals,
+            totalMessages: totals.reduce((sum, pair) => sum + pair.messageCount, 0)
+        };
+    }
+
+    /**
+     * ICM message flow as a directed graph of chains for network visualizations
+     * @param {Object} options - Query options
+     * @param {Date} options.startDate - Start of the window
+     * @param {Date} options.endDate - End of the window
+     * @param {number} [options.minWeight] - Drop edges with fewer messages than this
+     * @param {string} [options.network] - mainnet or fuji
+     * @returns {Promise<Object>} { nodes, edges, totalMessages }
+     */
+    async getMessageGraph({ startDate, endDate, minWeight = 1, network = 'mainnet' }) {
+        const { messageCounts } = await this.getStoredMessageCounts(startDate, endDate, network);
+
+        // Node totals cover all traffic in the window, before any pruning
+        const totals = new Map();
+        const getTotals = (chainId) => {
+            if (!totals.has(chainId)) {
+                totals.set(chainId, { totalIn: 0, totalOut: 0, counterparties: new Set() });
+            }
+            return totals.get(chainId);
+        };
+        for (const pair of messageCounts) {
+            getTotals(pair.sourceEvmChainId).totalOut += pair.messageCount;
+            getTotals(pair.destinationEvmChainId).totalIn += pair.messageCount;
+        }
+
+        const edges = messageCounts
+            .filter(pair => pair.messageCount >= minWeight)
+            .map(pair => ({
+                source: pair.sourceEvmChainId,
+                target: pair.destinationEvmChainId,
+                weight: pair.messageCount
+            }));
+
+        // Degree counts distinct counterparties over the edges that were kept
+        for (const edge of edges) {
+            getTotals(edge.source).counterparties.add(edge.target);
+            getTotals(edge.target).counterparties.add(edge.source);
+        }
+
+        const nodeIds = [...new Set(edges.flatMap(edge => [edge.source, edge.target]))];
+        const chains = await Chain.find({ chainId: { $in: nodeIds } })
+            .select('chainId chainName chainLogoUri')
+            .lean();
+        const chainsById = new Map(chains.map(chain => [chain.chainId, chain]));
+
+        const nodes = nodeIds
+            .map(chainId => {
+                const chain = chainsById.get(chainId);
+                const { totalIn, totalOut, counterparties } = totals.get(chainId);
+                return {
+                    id: chainId,
+                    chainName: chain?.chainName || `Chain ${chainId}`,
+                    chainLogoUri: chain?.chainLogoUri || null,
+                    totalIn,
+                    totalOut,
+                    degree: counterparties.size
+                };
+            })
+            .sort((a, b) => (b.totalIn + b.totalOut) - (a.totalIn + a.totalOut));
+
+        return {
+            nodes,
+            edges,
+            totalMessages: messageCounts.reduce((sum, pair) => sum + pair.messageCount, 0)
+        };
+    }
+
+    /**
+     * Query matching stored messages that were sent but have no delivery yet
+     * @param {Date} sentBefore - Only messages sent before this time
+     * @param {string} [network] - mainnet or fuji
+     * @returns {Object} Mongo query
+     */
+    getUndeliveredQuery(sentBefore, network = 'mainnet') {
+        return {
+            ...getNetworkQuery(network),
+            destinationTxHash: null,
+            status: { $not: /^delivered/ },
+            sourceTimestamp: { $lte: sentBefore }
+        };
+    }
+
+    /**
+     * Re-fetch stored undelivered messages from Glacier
+     * Incremental ingestion only sees a message around its send time, so deliveries
+     * that land later are picked up here
+     * @param {string} [network] - mainnet or fuji
+     * @returns {Promise<number>} Number of messages refreshed
+     */
+    async refreshPendingMessages(network = 'mainnet') {
+        const { pendingTimeoutMinutes, refreshBatchSize, refreshMaxAgeHours } = config.teleporter.delivery;
+        const now = Date.now();
+
+        const query = this.getUndeliveredQuery(new Date(now - pendingTimeoutMinutes * 60 * 1000), network);
+        query.sourceTimestamp.$gte = new Date(now - refreshMaxAgeHours * 60 * 60 * 1000);
+
+        // Least recently checked first so every pending message gets its turn
+        const pending = await IcmMessage.find(query)
+            .sort({ lastSeenAt: 1 })
+            .limit(refreshBatchSize)
+            .select('messageId')
+            .lean();
+
+        let refreshed = 0;
+        for (const { messageId } of pending) {
+            try {
+                const message = await this.fetchMessageFromGlacier(messageId, network);
+                if (message) {
+                    refreshed++;
+                } else {
+                    // Unknown to Glacier: mark as seen so it doesn't block the queue
+                    await IcmMessage.updateOne({ messageId }, { $set: { lastSeenAt: new Date() } });
+                }
+            } catch (error) {
+                logger.warn(`Error refreshing pending ICM message ${messageId}:`, { error: error.message });
+            }
+        }
+
+        logger.info(`Refreshed ${refreshed}/${pending.length} pending ${network} ICM messages`);
+        return refreshed;
+    }
+
+    /**
+     * Delivery latency stats per chain pair for messages sent within a window
+     * @param {Object} options - Query options
+     * @param {number} [options.hours] - Window size in hours
+     * @param {string} [options.sourceChainId] - Source EVM chain ID
+     * @param {string} [options.destinationChainId] - Destination EVM chain ID
+     * @param {string} [options.network] - mainnet or fuji
+     * @returns {Promise<Array>} Latency stats in seconds, busiest pairs first
+     */
+    async getDeliveryLatency({ hours = 24, sourceChainId, destinationChainId, network = 'mainnet' } = {}) {
+        const match = {
+            ...getNetworkQuery(network),
+            sourceTimestamp: { $gte: new Date(Date.now() - hours * 60 * 60 * 1000) },
+            destinationTimestamp: { $ne: null },
+            sourceEvmChainId: { $ne: null },
+            destinationEvmChainId: { $ne: null }
+        };
+        if (sourceChainId) match.sourceEvmChainId = String(sourceChainId);
+        if (destinationChainId) match.destinationEvmChainId = String(destinationChainId);
+
+        // Nearest-rank position of a percentile within a pair's sorted latencies
+        const rankOf = (p) => ({ $max: [1, { $ceil: { $multiply: [p / 100, '$count'] } }] });
+        const wholePartition = { documents: ['unbounded', 'unbounded'] };
+
+        // Rank latencies within each chain pair in the database and keep only the
+        // p50, p95 and max rows, so busy pairs never load every latency into memory
+        const [pairs, chainMapping] = await Promise.all([
+            IcmMessage.aggregate([
+                { $match: match },
+                {
+                    $project: {
+                        sourceEvmChainId: 1,
+                        destinationEvmChainId: 1,
+                        latency: {
+                            $divide: [{ $subtract: ['$destinationTimestamp', '$sourceTimestamp'] }, 1000]
+                        }
+                    }
+                },
+                {
+                    $setWindowFields: {
+                        partitionBy: { source: '$sourceEvmChainId', destination: '$destinationEvmChainId' },
+                        sortBy: { latency: 1 },
+                        output: {
+                            position: { $documentNumber: {} },
+                            count: { $count: {}, window: wholePartition },
+                            avg: { $avg: '$latency', window: wholePartition }
+                        }
+                    }
+                },
+                {
+                    $match: {
+                        $expr: {
+                            $in: ['$position', [rankOf(50), rankOf(95), '$count']]
+                        }
+                    }
+                },
+                {
+                    $group: {
+                        _id: {
+                            source: '$sourceEvmChainId',
+                            destination: '$destinationEvmChainId'
+                        },
+                        count: { $first: '$count' },
+                        avg: { $first: '$avg' },
+                        p50: { $max: { $cond: [{ $eq: ['$position', rankOf(50)] }, '$latency', null] } },
+                        p95: { $max: { $cond: [{ $eq: ['$position', rankOf(95)] }, '$latency', null] } },
+                        max: { $max: '$latency' }
+                    }
+                }
+            ]).allowDiskUse(true),
+            this.getChainMapping()
+        ]);
+
+        return pairs
+            .map(pair => ({
+                sourceChain: this.getChainName(pair._id.source, chainMapping),
+                destinationChain: this.getChainName(pair._id.destination, chainMapping),
+                sourceEvmChainId: pair._id.source,
+                destinationEvmChainId: pair._id.destination,
+                deliveredCount: pair.count,
+                latency: {
+                    p50: pair.p50,
+                    p95: pair.p95,
+                    max: pair.max,
+                    avg: parseFloat(pair.avg.toFixed(2))
+                }
+            }))
+            .sort((a, b) => b.deliveredCount - a.deliveredCount);
+    }
+
+    /**
+     * Messages sent but still undelivered after a timeout, oldest first
+     * Only messages within the refresh horizon (TELEPORTER_PENDING_REFRESH_MAX_AGE_HOURS)
+     * are listed, since older ones are no longer re-checked against Glacier and may
+     * have been delivered since; those are counted separately as stale.
+     * @param {Object} options - Query options
+     * @param {number} [options.timeoutMinutes] - Minutes after sending before a message counts as pending
+     * @param {string} [options.sourceChainId] - Source EVM chain ID
+     * @param {string} [options.destinationChainId] - Destination EVM chain ID
+     * @param {number} [options.limit] - Maximum messages to return
+     * @param {string} [options.network] - mainnet or fuji
+     * @returns {Promise<Object>} { data, total, stale }
+     */
+    async getPendingMessages({
+        timeoutMinutes = config.teleporter.delivery.pendingTimeoutMinutes,
+        sourceChainId,
+        destinationChainId,
+        limit = 100,
+        network = 'mainnet'
+    } = {}) {
+        const now = Date.now();
+        const horizon = new Date(now - config.teleporter.delivery.refreshMaxAgeHours * 60 * 60 * 1000);
+        const query = this.getUndeliveredQuery(new Date(now - timeoutMinutes * 60 * 1000), network);
+        if (sourceChainId) query.sourceEvmChainId = String(sourceChainId);
+        if (destinationChainId) query.destinationEvmChainId = String(destinationChainId);
+
+        const staleQuery = { ...query, sourceTimestamp: { ...query.sourceTimestamp, $lt: horizon } };
+        query.sourceTimestamp.$gte = horizon;
+
+        const [messages, total, stale, chainMapping] = await Promise.all([
+            IcmMessage.find(query)
+                .sort({ sourceTimestamp: 1 })
+                .limit(limit)
+                .lean(),
+            IcmMessage.countDocuments(query),
+            IcmMessage.countDocuments(staleQuery),
+            this.getChainMapping()
+        ]);
+
+        return {
+            data: messages.map(message => ({
+                ...this.formatMessage(message, chainMapping),
+                pendingMinutes: Math.floor((now - new Date(message.sourceTimestamp).getTime()) / (60 * 1000))
+            })),
+            total,
+            stale
+        };
+    }
 }
 
 module.exports = new TeleporterService();
\ No newline at end of file
@@ -1,9 +1,14 @@
 const TPS = require('../models/tps');
+const TPSHourly = require('../models/tpsHourly');
 const CumulativeTxCount = require('../models/cumulativeTxCount');
+const CumulativeTxCountHourly = require('../models/cumulativeTxCountHourly');
+const ChainMetric = require('../models/chainMetric');
+const MetricRollup = require('../models/metricRollup');
 const axios = require('axios');
 const Chain = require('../models/chain');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { getChainNetworkQuery } = require('../utils/network');
 
 // Rate limiter implementation
 class RateLimiter {
@@ -76,19 +81,65 @@ class RateLimiter {
 // Create a global rate limiter instance
 const metricsApiRateLimiter = new RateLimiter(config.api.metrics.rateLimit.requestsPerMinute || 20);
 
+// Seconds covered by one point of each metrics API time interval
+const INTERVAL_SECONDS = {
+  hour: 60 * 60,
+  day: 24 * 60 * 60
+};
+
+// Daily series for a metrics API metric stored in the generic ChainMetric collection
+const chainMetricSeries = (metric) => ({
+  day: { metric, model: ChainMetric, query: { metric }, interval: 'day', pageSize: 30, logLabel: `${metric} Update` }
+});
+
+// Metric series ingested from the metrics API, by public metric name and granularity
+const METRIC_SERIES = {
+  tps: {
+    day: { metric: 'avgTps', model: TPS, interval: 'day', pageSize: 30, logLabel: 'TPS Update' },
+    hour: { metric: 'avgTps', model: TPSHourly, interval: 'hour', pageSize: 168, logLabel: 'Hourly TPS Update' }
+  },
+  txCount: {
+    day: { metric: 'cumulativeTxCount', model: CumulativeTxCount, interval: 'day', pageSize: 30, logLabel: 'TxCount Update' },
+    hour: { metric: 'cumulativeTxCount', model: CumulativeTxCountHourly, interval: 'hour', pageSize: 168, logLabel: 'Hourly TxCount Update' }
+  },
+  gasUsed: chainMetricSeries('gasUsed'),
+  activeAddresses: chainMetricSeries('activeAddresses'),
+  feesPaid: chainMetricSeries('feesPaid'),
+  contracts: chainMetricSeries('cumulativeContracts')
+};
+
+// Coarser granularities served from weekly/monthly rollups instead of raw points
+const ROLLUP_PERIODS = ['week', 'month'];
+
 class TpsService {
-  async updateTpsData(chainId, retryCount = config.api.metrics.rateLimit.maxRetries || 3, initialBackoffMs = config.api.metrics.rateLimit.retryDelay || 2000) {
+  /**
+   * Fetches a metric series for a chain from the metrics API and upserts it
+   * Only points within the last pageSize intervals are kept, unless the series
+   * carries an explicit range ({ start, end } in seconds) for backfilling.
+   * With throwOnFailure set on the series, a failed fetch throws instead of returning null.
+   * @param {string} chainId - The chain ID
+   * @param {Object} series - Series definition from METRIC_SERIES
+   * @param {number} retryCount - Number of retry attempts
+   * @param {number} initialBackoffMs - Initial backoff time in milliseconds
+   * @returns {Promise<Object|null>} - The result of the update operation, or null on failure or without valid points
+   */
+  async updateMetricSeries(chainId, series, retryCount = config.api.metrics.rateLimit.maxRetries || 3, initialBackoffMs = config.api.metrics.rateLimit.retryDelay || 2000) {
+    const { metric, model, interval, logLabel, query = {}, range, throwOnFailure = false } = series;
+    const pageSize = range
+      ? Math.floor((range.end - range.start) / INTERVAL_SECONDS[interval]) + 1
+      : series.pageSize;
+
     // Use rate limiter for all API calls
     return metricsApiRateLimiter.enqueue(async () => {
       for (let attempt = 1; attempt <= retryCount; attempt++) {
         try {
-          logger.info(`[TPS Update] Starting update for chain ${chainId} (Attempt ${attempt}/${retryCount})`);
+          logger.info(`[${logLabel}] Starting update for chain ${chainId} (Attempt ${attempt}/${retryCount})`);
           
-          // Use the new metrics API endpoint
-          const response = await axios.get(`${config.api.metrics.baseUrl}/chains/${chainId}/metrics/avgTps`, {
+          const response = await axios.get(`${config.api.metrics.baseUrl}/chains/${chainId}/metrics/${metric}`, {
             params: {
-              timeInterval: 'day',
-              pageSize: 30
+              timeInterval: interval,
+              pageSize,
+              ...(range && { startTimestamp: range.start, endTimestamp: range.end })
             },
             timeout: config.api.metrics.timeout,
             headers: {
@@ -100,38 +151,38 @@ class TpsService {
 
           // Enhanced error logging
           if (!response.data) {
-            logger.warn(`[TPS Update] No data in response for chain ${chainId}`);
+            logger.warn(`[${logLabel}] No data in response for chain ${chainId}`);
             continue;
           }
 
           if (!Array.isArray(response.data.results)) {
-            logger.warn(`[TPS Update] Invalid response format for chain ${chainId}:`, response.data);
+            logger.warn(`[${logLabel}] Invalid response format for chain ${chainId}:`, response.data);
             continue;
           }
 
-          const currentTime = Math.floor(Date.now() / 1000);
-          const thirtyDaysAgo = currentTime - (30 * 24 * 60 * 60);
+          const currentTime = range ? range.end : Math.floor(Date.now() / 1000);
+          const windowStart = range ? range.start : currentTime - (pageSize * INTERVAL_SECONDS[interval]);
 
           // Log raw data before filtering
-          logger.info(`[TPS Update] Raw data for chain ${chainId}:`, {
+          logger.info(`[${logLabel}] Raw data for chain ${chainId}:`, {
             resultsCount: response.data.results.length,
             sampleData: response.data.results[0],
             environment: process.env.NODE_ENV
           });
 
-          // Validate and filter TPS data
-          const validTpsData = response.data.results.filter(item => {
+          // Validate and filter data points
+          const validData = response.data.results.filter(item => {
             const timestamp = Number(item.timestamp);
             const value = parseFloat(item.value);
             
             if (isNaN(timestamp) || isNaN(value)) {
-              logger.warn(`[TPS Update] Invalid data point for chain ${chainId}:`, item);
+              logger.warn(`[${logLabel}] Invalid data point for chain ${chainId}:`, item);
               return false;
             }
             
-            const isValid = timestamp >= thirtyDaysAgo && timestamp <= currentTime;
+            const isValid = timestamp >= windowStart && timestamp <= currentTime;
             if (!isValid) {
-              logger.warn(`[TPS Update] Out of range timestamp for chain ${chainId}:`, {
+              logger.warn(`[${logLabel}] Out of range timestamp for chain ${chainId}:`, {
                 timestamp: new Date(timestamp * 1000).toISOString(),
                 value
               });
@@ -141,11 +192,12 @@ class TpsService {
           });
 
           // If we have valid data, proceed with update
-          if (validTpsData.length > 0) {
-            const result = await TPS.bulkWrite(
-              validTpsData.map(item => ({
+          if (validData.length > 0) {
+            const result = await model.bulkWrite(
+              validData.map(item => ({
                 updateOne: {
                   filter: { 
+                    ...query,
                     chainId: chainId,
                     timestamp: Number(item.timestamp)
                   },
@@ -161,8 +213,8 @@ class TpsService {
               { ordered: false } // Continue processing even if some operations fail
             );
 
-            logger.info(`[TPS Update] Success for chain ${chainId}:`, {
-              validDataPoints: validTpsData.length,
+            logger.info(`[${logLabel}] Success for chain ${chainId}:`, {
+              validDataPoints: validData.length,
               matched: result.matchedCount,
               modified: result.modifiedCount,
               upserted: result.upsertedCount,
@@ -172,12 +224,12 @@ class TpsService {
             return result;
           }
 
-          logger.warn(`[TPS Update] No valid data points for chain ${chainId}`);
+          logger.warn(`[${logLabel}] No valid data points for chain ${chainId}`);
           return null;
 
         } catch (error) {
           const status = error.response?.status;
-          logger.error(`[TPS Update] Error for chain ${chainId} (Attempt ${attempt}/${retryCount}):`, {
+          logger.error(`[${logLabel}] Error for chain ${chainId} (Attempt ${attempt}/${retryCount}):`, {
             message: error.message,
             status: status,
             data: error.response?.data,
@@ -186,12 +238,12 @@ class TpsService {
 
           // Special handling for rate limiting
           if (status === 429) {
-            logger.warn(`[TPS Update] Rate limit exceeded for metrics API, backing off...`);
+            logger.warn(`[${logLabel}] Rate limit exceeded for metrics API, backing off...`);
             
             if (attempt < retryCount) {
               // Exponential backoff with jitter for rate limit errors
               const backoffTime = initialBackoffMs * Math.pow(2, attempt - 1) * (0.75 + Math.random() * 0.5);
-              logger.info(`[TPS Update] Will retry after ${Math.round(backoffTime/1000)}s`);
+              logger.info(`[${logLabel}] Will retry after ${Math.round(backoffTime/1000)}s`);
               await new Promise(resolve => setTimeout(resolve, backoffTime));
             }
           } else if (attempt < retryCount) {
@@ -201,28 +253,317 @@ class TpsService {
           }
 
           if (attempt === retryCount) {
-            // On final attempt, log but don't throw
-            logger.error(`[TPS Update] All attempts failed for chain ${chainId}`);
+            // On final attempt, log but only throw if the caller asked to
+            logger.error(`[${logLabel}] All attempts failed for chain ${chainId}`);
+            if (throwOnFailure) {
+              throw error;
+            }
             return null;
           }
         }
       }
+      if (throwOnFailure) {
+        throw new Error(`No usable ${metric} response for chain ${chainId}`);
+      }
       return null;
     });
   }
 
-  async getTpsHistory(chainId, days = 30) {
+  /**
+   * Updates daily TPS data for a specific chain
+   * @param {string} chainId - The chain ID
+   * @param {number} retryCount - Number of retry attempts
+   * @param {number} initialBackoffMs - Initial backoff time in milliseconds
+   * @returns {Promise<Object|null>} - The result of the update operation or null on failure
+   */
+  async updateTpsData(chainId, retryCount, initialBackoffMs) {
+    return this.updateMetricSeries(chainId, METRIC_SERIES.tps.day, retryCount, initialBackoffMs);
+  }
+
+  /**
+   * Updates hourly TPS data (last 7 days) for a specific chain
+   * @param {string} chainId - The chain ID
+   * @returns {Promise<Object|null>} - The result of the update operation or null on failure
+   */
+  async updateHourlyTpsData(chainId) {
+    return this.updateMetricSeries(chainId, METRIC_SERIES.tps.hour);
+  }
+
+  /**
+   * Names of all metrics served by the generic metric endpoints
+   * @returns {Array<string>} - Metric names
+   */
+  getMetricNames() {
+    return Object.keys(METRIC_SERIES);
+  }
+
+  /**
+   * Looks up the series definition for a metric and granularity
+   * @param {string} metric - Public metric name (e.g. gasUsed)
+   * @param {string} granularity - 'day' or 'hour'
+   * @returns {Object|null} - Series definition, or null if not available
+   */
+  getMetricSeries(metric, granularity = 'day') {
+    return METRIC_SERIES[metric]?.[granularity] || null;
+  }
+
+  /**
+   * Updates the additional daily metrics configured in config.api.metrics.additionalMetrics
+   * @param {string} chainId - The chain ID
+   * @returns {Promise<Object>} - Update result per metric (null on failure)
+   */
+  async updateAdditionalMetrics(chainId) {
+    const results = {};
+    for (const metric of config.api.metrics.additionalMetrics) {
+      const series = this.getMetricSeries(metric);
+      if (!series) {
+        logger.warn(`Unknown metric ${metric} in additional metrics configuration, skipping`);
+        continue;
+      }
+      results[metric] = await this.updateMetricSeries(chainId, series);
+    }
+    return results;
+  }
+
+  /**
+   * Gets history for any registered metric
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - Public metric name
+   * @param {number} days - Number of days of history to fetch
+   * @param {string} granularity - 'day' or 'hour'
+   * @returns {Promise<Array>} - Array of data points, newest first
+   */
+  async getMetricHistory(chainId, metric, days = 30, granularity = 'day') {
+    try {
+      const series = this.getMetricSeries(metric, granularity);
+      if (!series) {
+        throw new Error(`Metric ${metric} is not available at ${granularity} granularity`);
+      }
+
+      const cacheKey = `metric_history_${chainId}_${metric}_${days}_${granularity}`;
+      const cacheManager = require('../utils/cacheManager');
+      const cachedData = cacheManager.get(cacheKey);
+      if (cachedData) {
+        logger.debug(`Returning cached ${metric} history data`);
+        return cachedData;
+      }
+
+      const query = { ...(series.query || {}), chainId };
+      const existingData = await series.model.countDocuments(query);
+
+      if (existingData === 0) {
+        logger.info(`No ${granularity} ${metric} history found for chain ${chainId}, fetching from API...`);
+        await this.updateMetricSeries(chainId, series);
+      }
+
+      const cutoffDate = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
+
+      const data = await series.model.find({
+        ...query,
+        timestamp: { $gte: cutoffDate }
+      })
+        .sort({ timestamp: -1 })
+        .select('-_id timestamp value')
+        .lean();
+
+      logger.info(`Found ${data.length} ${granularity} ${metric} records for chain ${chainId}`);
+
+      cacheManager.set(cacheKey, data, config.cache.tps);
+
+      return data;
+    } catch (error) {
+      logger.error(`Error fetching ${metric} history: ${error.message}`);
+      throw new Error(`Error fetching ${metric} history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the latest value of any registered metric
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - Public metric name
+   * @returns {Promise<Object|null>} - The latest data point
+   */
+  async getLatestMetric(chainId, metric) {
+    try {
+      const series = this.getMetricSeries(metric);
+      const query = { ...(series.query || {}), chainId };
+
+      const findLatest = () => series.model.findOne(query)
+        .sort({ timestamp: -1 })
+        .select('-_id timestamp value')
+        .lean();
+
+      let latest = await findLatest();
+
+      if (!latest) {
+        logger.info(`No ${metric} data found for chain ${chainId}, fetching from API...`);
+        await this.updateMetricSeries(chainId, series);
+        latest = await findLatest();
+      }
+
+      return latest;
+    } catch (error) {
+      logger.error(`Error fetching latest ${metric}: ${error.message}`);
+      throw new Error(`Error fetching latest ${metric}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Picks the history granularity for a range when the caller didn't ask for one
+   * Long ranges are served from weekly or monthly rollups.
+   * @param {number} days - Number of days of history
+   * @returns {string} - 'day', 'week' or 'month'
+   */
+  getDefaultGranularity(days) {
+    const { weeklyAfterDays, monthlyAfterDays } = config.api.metrics.retention;
+    if (days > monthlyAfterDays) return 'month';
+    if (days > weeklyAfterDays) return 'week';
+    return 'day';
+  }
+
+  /**
+   * Gets weekly or monthly rollups for a chain, newest first
+   * `value` is the average TPS for tps, and the cumulative count at the end of
+   * the period for txCount, so the shape matches the daily history.
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - 'tps' or 'txCount'
+   * @param {number} days - Number of days of history
+   * @param {string} period - 'week' or 'month'
+   * @returns {Promise<Array>} - Rollup points
+   */
+  async getRollupHistory(chainId, metric, days, period) {
+    const cutoffDate = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
+
+    const rollups = await MetricRollup.find({
+      chainId,
+      metric,
+      period,
+      // Include the period the cutoff falls in
+      periodStart: { $gte: cutoffDate - (period === 'month' ? 31 : 7) * INTERVAL_SECONDS.day + 1 }
+    })
+      .sort({ periodStart: -1 })
+      .select('-_id periodStart avg min max sum count lastValue')
+      .lean();
+
+    logger.info(`Found ${rollups.length} ${period} ${metric} rollups for chain ${chainId}`);
+
+    // Rollups are built by the daily job; until it has run for this chain, summarize raw points
+    if (rollups.length === 0 && !(await MetricRollup.exists({ chainId, metric, period }))) {
+      return this.summarizeRawHistory(chainId, metric, cutoffDate, period);
+    }
+
+    return rollups.map(rollup => ({
+      timestamp: rollup.periodStart,
+      value: metric === 'txCount' ? rollup.lastValue : rollup.avg,
+      avg: rollup.avg,
+      min: rollup.min,
+      max: rollup.max,
+      sum: rollup.sum,
+      count: rollup.count
+    }));
+  }
+
+  /**
+   * Weekly or monthly history computed from raw daily points, newest first
+   * Same shape as getRollupHistory, for chains whose rollups aren't built yet.
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - 'tps' or 'txCount'
+   * @param {number} cutoffDate - Start of the range in seconds
+   * @param {string} period - 'week' or 'month'
+   * @returns {Promise<Array>} - Rollup points
+   */
+  async summarizeRawHistory(chainId, metric, cutoffDate, period) {
+    // Required here: rollupService depends on this service
+    const rollupService = require('./rollupService');
+    const model = METRIC_SERIES[metric].day.model;
+    const since = rollupService.getPeriodStart(cutoffDate, period);
+
+    // One extra day as the baseline for the first tx count delta
+    const raw = await model.find({
+      chainId,
+      timestamp: { $gte: metric === 'txCount' ? since - INTERVAL_SECONDS.day : since }
+    })
+      .sort({ timestamp: 1 })
+      .select('-_id timestamp value')
+      .lean();
+
+    const summaries = rollupService.summarizePeriods(raw, metric, period, since);
+    logger.info(`Summarized ${summaries.size} ${period} ${metric} periods from raw data for chain ${chainId}`);
+
+    return Array.from(summaries.entries())
+      .sort(([a], [b]) => b - a)
+      .map(([periodStart, summary]) => ({
+        timestamp: periodStart,
+        value: metric === 'txCount' ? summary.lastValue : summary.avg,
+        avg: summary.avg,
+        min: summary.min,
+        max: summary.max,
+        sum: summary.sum,
+        count: summary.count
+      }));
+  }
+
+  /**
+   * Fetches daily history older than the earliest stored point, once per chain
+   * Regular ingestion only covers recent days, so this feeds the long-range rollups.
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - 'tps' or 'txCount'
+   * @param {number} [days] - How far back to fetch
+   * @returns {Promise<boolean>} - Whether older points were stored
+   * @throws {Error} If the metrics API request fails, so the backfill is retried later
+   */
+  async backfillHistory(chainId, metric, days = config.api.metrics.retention.historyDays) {
+    const series = METRIC_SERIES[metric].day;
+    const day = INTERVAL_SECONDS.day;
+    const now = Math.floor(Date.now() / 1000);
+    const start = Math.floor(now / day) * day - days * day;
+
+    const earliest = await series.model.findOne({ chainId })
+      .sort({ timestamp: 1 })
+      .select('-_id timestamp')
+      .lean();
+    if (earliest && earliest.timestamp <= start + day) {
+      return false;
+    }
+
+    const end = earliest ? earliest.timestamp - 1 : now;
+    const before = await series.model.countDocuments({ chainId, timestamp: { $lte: end } });
+    await this.updateMetricSeries(chainId, {
+      ...series,
+      logLabel: `History Backfill ${metric}`,
+      range: { start, end },
+      throwOnFailure: true
+    });
+    const after = await series.model.countDocuments({ chainId, timestamp: { $lte: end } });
+
+    logger.info(`[History Backfill] Chain ${chainId} ${metric}: stored ${after - before} days before ${new Date(end * 1000).toISOString()}`);
+    return after > before;
+  }
+
+  /**
+   * Gets TPS history for a specific chain
+   * @param {string} chainId - The chain ID
+   * @param {number} days - Number of days of history to fetch
+   * @param {string} granularity - 'day' or 'hour'
+   * @returns {Promise<Array>} - Array of TPS data points
+   */
+  async getTpsHistory(chainId, days = 30, granularity = 'day') {
     try {
-      const existingData = await TPS.countDocuments({ chainId });
+      if (ROLLUP_PERIODS.includes(granularity)) {
+        return await this.getRollupHistory(chainId, 'tps', days, granularity);
+      }
+
+      const series = METRIC_SERIES.tps[granularity];
+      const existingData = await series.model.countDocuments({ chainId });
       
       if (existingData === 0) {
-        logger.info(`No TPS history found for chain ${chainId}, fetching from API...`);
-        await this.updateTpsData(chainId);
+        logger.info(`No ${granularity} TPS history found for chain ${chainId}, fetching from API...`);
+        await this.updateMetricSeries(chainId, series);
       }
 
       const cutoffDate = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
       
-      const data = await TPS.find({
+      const data = await series.model.find({
         chainId,
         timestamp: { $gte: cutoffDate }
       })
@@ -230,7 +571,7 @@ class TpsService {
         .select('-_id timestamp value')
         .lean();
       
-      logger.info(`Found ${data.length} TPS records for chain ${chainId}`);
+      logger.info(`Found ${data.length} ${granularity} TPS records for chain ${chainId}`);
       return data;
     } catch (error) {
       logger.error(`Error fetching TPS history: ${error.message}`);
@@ -261,9 +602,9 @@ class TpsService {
     }
   }
 
-  async getNetworkTps() {
+  async getNetworkTps(network = 'mainnet') {
     try {
-      const chains = await Chain.find().select('chainId').lean();
+      const chains = await Chain.find(getChainNetworkQuery(network)).select('chainId').lean();
       
       const currentTime = Math.floor(Date.now() / 1000);
       const oneDayAgo = currentTime - (24 * 60 * 60);
@@ -382,52 +723,131 @@ class TpsService {
     }
   }
 
-  async getNetworkTpsHistory(days = 7) {
+  /**
+   * Sums per-chain TPS points into network-wide buckets
+   * A chain missing a point in a bucket is filled from its neighbouring points:
+   * linearly interpolated between them, or carried forward from the last one when
+   * nothing newer exists yet. Only points within maxFillSeconds are used, so chains
+   * that stopped reporting drop out instead of being carried forever.
+   * @param {Array} tpsData - Points ({ chainId, timestamp, value }) sorted by timestamp
+   * @param {Object} options
+   * @param {number} options.firstBucket - First bucket to report, in seconds
+   * @param {number} options.step - Bucket size in seconds
+   * @param {number} options.maxFillSeconds - Furthest a point is interpolated or carried forward
+   * @returns {Array} - Network TPS points, oldest first; buckets without any chain are skipped
+   */
+  buildNetworkTpsHistory(tpsData, { firstBucket, step, maxFillSeconds }) {
+    // Align every point to its bucket, one sorted series per chain
+    const seriesByChain = new Map();
+    let lastBucket = firstBucket;
+    for (const point of tpsData) {
+      const bucket = Math.floor(point.timestamp / step) * step;
+      if (!seriesByChain.has(point.chainId)) {
+        seriesByChain.set(point.chainId, new Map());
+      }
+      seriesByChain.get(point.chainId).set(bucket, point.value);
+      lastBucket = Math.max(lastBucket, bucket);
+    }
+    const chainSeries = Array.from(seriesByChain.entries()).map(([chainId, points]) => ({
+      chainId,
+      points: Array.from(points.entries()), // [bucket, value], ascending
+      index: 0
+    }));
+
+    const history = [];
+    for (let bucket = firstBucket; bucket <= lastBucket; bucket += step) {
+      let totalTps = 0;
+      let reportedChainCount = 0;
+      const filledChains = [];
+
+      for (const chain of chainSeries) {
+        // Advance to the first point at or after this bucket
+        while (chain.index < chain.points.length && chain.points[chain.index][0] < bucket) {
+          chain.index++;
+        }
+
+        const next = chain.points[chain.index];
+        if (next && next[0] === bucket) {
+          totalTps += next[1];
+          reportedChainCount++;
+          continue;
+        }
+
+        const prev = chain.index > 0 ? chain.points[chain.index - 1] : null;
+        if (!prev || bucket - prev[0] > maxFillSeconds) {
+          continue; // Not reporting in this period
+        }
+
+        if (next && next[0] - bucket <= maxFillSeconds) {
+          const value = prev[1] + (next[1] - prev[1]) * (bucket - prev[0]) / (next[0] - prev[0]);
+          totalTps += value;
+          filledChains.push({ chainId: chain.chainId, method: 'interpolated', value: parseFloat(value.toFixed(2)) });
+        } else {
+          totalTps += prev[1];
+          filledChains.push({ chainId: chain.chainId, method: 'carried_forward', value: parseFloat(prev[1].toFixed(2)) });
+        }
+      }
+
+      const chainCount = reportedChainCount + filledChains.length;
+      if (chainCount === 0) {
+        continue;
+      }
+
+      history.push({
+        timestamp: bucket,
+        date: new Date(bucket * 1000).toISOString(),
+        totalTps: parseFloat(totalTps.toFixed(2)),
+        chainCount,
+        reportedChainCount,
+        filledChainCount: filledChains.length,
+        isEstimated: filledChains.length > 0,
+        filledChains
+      });
+    }
+
+    return history;
+  }
+
+  /**
+   * Gets network-wide TPS history bucketed to day or hour boundaries
+   * Chains missing a bucket are filled from their points up to maxFillHours away
+   * (see buildNetworkTpsHistory).
+   * @param {number} days - Number of days of history to fetch
+   * @param {string} granularity - 'day' or 'hour'
+   * @param {string} network - 'mainnet' or 'fuji'
+   * @returns {Promise<Array>} - Network TPS points, oldest first
+   */
+  async getNetworkTpsHistory(days = 7, granularity = 'day', network = 'mainnet') {
     try {
+      const step = INTERVAL_SECONDS[granularity];
+      const maxFillSeconds = config.api.metrics.networkTps.maxFillHours * 60 * 60;
       const cutoffDate = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
+      const firstBucket = Math.ceil(cutoffDate / step) * step;
       
-      // Get all chains
-      const chains = await Chain.find().select('chainId').lean();
+      // Get all chains on the network
+      const chains = await Chain.find(getChainNetworkQuery(network)).select('chainId').lean();
       
-      // Get TPS data for all chains within the time range
-      const tpsData = await TPS.aggregate([
-        {
-          $match: {
-            chainId: { $in: chains.map(c => c.chainId) },
-            timestamp: { $gte: cutoffDate }
-          }
-        },
-        {
-          // Group by timestamp and sum the values
-          $group: {
-            _id: '$timestamp',
-            totalTps: { $sum: '$value' },
-            chainCount: { $sum: 1 }
-          }
-        },
-        {
-          // Format the output
-          $project: {
-            _id: 0,
-            timestamp: '$_id',
-            totalTps: { $round: ['$totalTps', 2] },
-            chainCount: 1
-          }
-        },
-        {
-          // Sort by timestamp
-          $sort: { timestamp: 1 }
-        }
-      ]);
+      // Include points before the window so the first buckets can be filled too
+      const tpsData = await METRIC_SERIES.tps[granularity].model.find({
+        chainId: { $in: chains.map(c => c.chainId) },
+        timestamp: { $gte: firstBucket - maxFillSeconds }
+      })
+        .sort({ timestamp: 1 })
+        .select('-_id chainId timestamp value')
+        .lean();
 
-      // Add metadata to each data point
-      const enrichedData = tpsData.map(point => ({
-        ...point,
-        date: new Date(point.timestamp * 1000).toISOString()
-      }));
+      if (tpsData.length === 0) {
+        logger.info('Found 0 historical network TPS records');
+        return [];
+      }
+
+      const history = this.buildNetworkTpsHistory(tpsData, { firstBucket, step, maxFillSeconds });
 
-      logger.info(`Found ${enrichedData.length} historical network TPS records`);
-      return enrichedData;
+      logger.info(`Found ${history.length} historical network TPS records`, {
+        granularity,
+        estimatedPoints: history.filter(point => point.isEstimated).length
+      });
+      return history;
     } catch (error) {
       logger.error(`Error fetching network TPS history: ${error.message}`);
       throw new Error(`Error fetching network TPS history: ${error.message}`);
@@ -441,150 +861,30 @@ class TpsService {
    * @param {number} initialBackoffMs - Initial backoff time in milliseconds
    * @returns {Promise<Object|null>} - The result of the update operation or null on failure
    */
-  async updateCumulativeTxCount(chainId, retryCount = config.api.metrics.rateLimit.maxRetries || 3, initialBackoffMs = config.api.metrics.rateLimit.retryDelay || 2000) {
-    // Use rate limiter for all API calls
-    return metricsApiRateLimiter.enqueue(async () => {
-      for (let attempt = 1; attempt <= retryCount; attempt++) {
-        try {
-          logger.info(`[TxCount Update] Starting update for chain ${chainId} (Attempt ${attempt}/${retryCount})`);
-          
-          // Use the metrics API endpoint with cumulativeTxCount metric (daily interval)
-          const response = await axios.get(`${config.api.metrics.baseUrl}/chains/${chainId}/metrics/cumulativeTxCount`, {
-            params: {
-              timeInterval: 'day',
-              pageSize: 30
-            },
-            timeout: config.api.metrics.timeout,
-            headers: {
-              'Accept': 'application/json',
-              'User-Agent': 'l1beat-backend',
-              'Cache-Control': 'no-cache' // Avoid cached responses
-            }
-          });
-
-          // Enhanced error logging
-          if (!response.data) {
-            logger.warn(`[TxCount Update] No data in response for chain ${chainId}`);
-            continue;
-          }
-
-          if (!Array.isArray(response.data.results)) {
-            logger.warn(`[TxCount Update] Invalid response format for chain ${chainId}:`, response.data);
-            continue;
-          }
-
-          const currentTime = Math.floor(Date.now() / 1000);
-          const thirtyDaysAgo = currentTime - (30 * 24 * 60 * 60);
-
-          // Log raw data before filtering
-          logger.info(`[TxCount Update] Raw data for chain ${chainId}:`, {
-            resultsCount: response.data.results.length,
-            sampleData: response.data.results[0],
-            environment: process.env.NODE_ENV
-          });
-
-          // Validate and filter TxCount data
-          const validTxCountData = response.data.results.filter(item => {
-            const timestamp = Number(item.timestamp);
-            const value = parseFloat(item.value);
-            
-            if (isNaN(timestamp) || isNaN(value)) {
-              logger.warn(`[TxCount Update] Invalid data point for chain ${chainId}:`, item);
-              return false;
-            }
-            
-            const isValid = timestamp >= thirtyDaysAgo && timestamp <= currentTime;
-            if (!isValid) {
-              logger.warn(`[TxCount Update] Out of range timestamp for chain ${chainId}:`, {
-                timestamp: new Date(timestamp * 1000).toISOString(),
-                value
-              });
-            }
-            
-            return isValid;
-          });
-
-          // If we have valid data, proceed with update
-          if (validTxCountData.length > 0) {
-            const result = await CumulativeTxCount.bulkWrite(
-              validTxCountData.map(item => ({
-                updateOne: {
-                  filter: { 
-                    chainId: chainId,
-                    timestamp: Number(item.timestamp)
-                  },
-                  update: { 
-                    $set: { 
-                      value: parseFloat(item.value),
-                      lastUpdated: new Date() 
-                    }
-                  },
-                  upsert: true
-                }
-              })),
-              { ordered: false } // Continue processing even if some operations fail
-            );
-
-            logger.info(`[TxCount Update] Success for chain ${chainId}:`, {
-              validDataPoints: validTxCountData.length,
-              matched: result.matchedCount,
-              modified: result.modifiedCount,
-              upserted: result.upsertedCount,
-              environment: process.env.NODE_ENV
-            });
-
-            return result;
-          }
-
-          logger.warn(`[TxCount Update] No valid data points for chain ${chainId}`);
-          return null;
-
-        } catch (error) {
-          const status = error.response?.status;
-          logger.error(`[TxCount Update] Error for chain ${chainId} (Attempt ${attempt}/${retryCount}):`, {
-            message: error.message,
-            status: status,
-            data: error.response?.data,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-          });
-
-          // Special handling for rate limiting
-          if (status === 429) {
-            logger.warn(`[TxCount Update] Rate limit exceeded for metrics API, backing off...`);
-            
-            if (attempt < retryCount) {
-              // Exponential backoff with jitter for rate limit errors
-              const backoffTime = initialBackoffMs * Math.pow(2, attempt - 1) * (0.75 + Math.random() * 0.5);
-              logger.info(`[TxCount Update] Will retry after ${Math.round(backoffTime/1000)}s`);
-              await new Promise(resolve => setTimeout(resolve, backoffTime));
-            }
-          } else if (attempt < retryCount) {
-            // Normal retry for other errors, with shorter backoff
-            const backoffTime = initialBackoffMs * (attempt - 1) * (0.75 + Math.random() * 0.5);
-            await new Promise(resolve => setTimeout(resolve, backoffTime));
-          }
+  async updateCumulativeTxCount(chainId, retryCount, initialBackoffMs) {
+    return this.updateMetricSeries(chainId, METRIC_SERIES.txCount.day, retryCount, initialBackoffMs);
+  }
 
-          if (attempt === retryCount) {
-            // On final attempt, log but don't throw
-            logger.error(`[TxCount Update] All attempts failed for chain ${chainId}`);
-            return null;
-          }
-        }
-      }
-      return null;
-    });
+  /**
+   * Updates hourly cumulative transaction count data (last 7 days) for a specific chain
+   * @param {string} chainId - The chain ID
+   * @returns {Promise<Object|null>} - The result of the update operation or null on failure
+   */
+  async updateHourlyTxCount(chainId) {
+    return this.updateMetricSeries(chainId, METRIC_SERIES.txCount.hour);
   }
 
   /**
    * Gets cumulative transaction count history for a specific chain
    * @param {string} chainId - The chain ID
    * @param {number} days - Number of days of history to fetch
+   * @param {string} granularity - 'day' or 'hour'
    * @returns {Promise<Array>} - Array of transaction count data points
    */
-  async getTxCountHistory(chainId, days = 30) {
+  async getTxCountHistory(chainId, days = 30, granularity = 'day') {
     try {
       // Check cache first
-      const cacheKey = `txcount_history_${chainId}_${days}`;
+      const cacheKey = `txcount_history_${chainId}_${days}_${granularity}`;
       const cacheManager = require('../utils/cacheManager');
       const cachedData = cacheManager.get(cacheKey);
       if (cachedData) {
@@ -592,16 +892,23 @@ class TpsService {
         return cachedData;
       }
 
-      const existingData = await CumulativeTxCount.countDocuments({ chainId });
+      if (ROLLUP_PERIODS.includes(granularity)) {
+        const data = await this.getRollupHistory(chainId, 'txCount', days, granularity);
+        cacheManager.set(cacheKey, data, config.cache.txCount);
+        return data;
+      }
+
+      const series = METRIC_SERIES.txCount[granularity];
+      const existingData = await series.model.countDocuments({ chainId });
       
       if (existingData === 0) {
-        logger.info(`No TxCount history found for chain ${chainId}, fetching from API...`);
-        await this.updateCumulativeTxCount(chainId, config.api.metrics.rateLimit.maxRetries, config.api.metrics.rateLimit.retryDelay);
+        logger.info(`No ${granularity} TxCount history found for chain ${chainId}, fetching from API...`);
+        await this.updateMetricSeries(chainId, series, config.api.metrics.rateLimit.maxRetries, config.api.metrics.rateLimit.retryDelay);
       }
 
       const cutoffDate = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
       
-      const data = await CumulativeTxCount.find({
+      const data = await series.model.find({
         chainId,
         timestamp: { $gte: cutoffDate }
       })
@@ -609,7 +916,7 @@ class TpsService {
         .select('-_id timestamp value')
         .lean();
       
-      logger.info(`Found ${data.length} TxCount records for chain ${chainId}`);
+      logger.info(`Found ${data.length} ${granularity} TxCount records for chain ${chainId}`);
       
       // Cache the result for 5 minutes
       cacheManager.set(cacheKey, data, config.cache.txCount);
@@ -621,6 +928,247 @@ class TpsService {
     }
   }
 
+  /**
+   * Derives per-day transaction counts from cumulative totals
+   * Each day's count is the increase since the previous point. A decrease means the
+   * counter was reset, so the new total is used as that day's count. Days missing
+   * between two points share the increase evenly and are flagged as estimated; the
+   * rounding remainder goes to the last day so the counts still add up to the increase.
+   * @param {Array} points - Cumulative tx count points ({ timestamp, value }) in any order
+   * @returns {Array} - Daily counts, oldest first (the first point only serves as a baseline)
+   */
+  deriveDailyTxCounts(points) {
+    const day = INTERVAL_SECONDS.day;
+    const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp);
+    const daily = [];
+
+    for (let i = 1; i < sorted.length; i++) {
+      const prev = sorted[i - 1];
+      const current = sorted[i];
+      const counterReset = current.value < prev.value;
+      const increase = counterReset ? current.value : current.value - prev.value;
+      const spanDays = Math.max(1, Math.round((current.timestamp - prev.timestamp) / day));
+      const share = Math.floor(increase / spanDays);
+
+      for (let d = 1; d <= spanDays; d++) {
+        const timestamp = d === spanDays ? current.timestamp : prev.timestamp + d * day;
+        daily.push({
+          timestamp,
+          date: new Date(timestamp * 1000).toISOString(),
+          txCount: d === spanDays ? increase - share * (spanDays - 1) : share,
+          estimated: spanDays > 1,
+          counterReset
+        });
+      }
+    }
+
+    return daily;
+  }
+
+  /**
+   * Gets daily transaction counts for a specific chain
+   * @param {string} chainId - The chain ID
+   * @param {number} days - Number of days of history to fetch
+   * @returns {Promise<Array>} - Daily transaction counts, oldest first
+   */
+  async getDailyTxCounts(chainId, days = 30) {
+    try {
+      // One extra day as the baseline for the first delta
+      const history = await this.getTxCountHistory(chainId, days + 1);
+      const cutoffDate = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
+
+      return this.deriveDailyTxCounts(history).filter(point => point.timestamp >= cutoffDate);
+    } catch (error) {
+      logger.error(`Error deriving daily TxCount: ${error.message}`);
+      throw new Error(`Error deriving daily TxCount: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets network-wide daily transaction counts summed across all chains
+   * @param {number} days - Number of days of history to fetch
+   * @param {string} network - 'mainnet' or 'fuji'
+   * @returns {Promise<Array>} - Daily network transaction counts, oldest first
+   */
+  async getNetworkDailyTxCounts(days = 30, network = 'mainnet') {
+    try {
+      const cacheKey = `txcount_network_daily_${days}_${network}`;
+      const cacheManager = require('../utils/cacheManager');
+      const cachedData = cacheManager.get(cacheKey);
+      if (cachedData) {
+        logger.debug('Returning cached network daily TxCount data');
+        return cachedData;
+      }
+
+      const cutoffDate = Math.floor(Date.now() / 1000) - (days * 24 * 60 * 60);
+      const chains = await Chain.find(getChainNetworkQuery(network)).select('chainId').lean();
+
+      // One extra day as the baseline for the first delta
+      const points = await CumulativeTxCount.find({
+        chainId: { $in: chains.map(c => c.chainId) },
+        timestamp: { $gte: cutoffDate - INTERVAL_SECONDS.day }
+      })
+        .select('-_id chainId timestamp value')
+        .lean();
+
+      const pointsByChain = new Map();
+      for (const point of points) {
+        if (!pointsByChain.has(point.chainId)) {
+          pointsByChain.set(point.chainId, []);
+        }
+        pointsByChain.get(point.chainId).push(point);
+      }
+
+      const byDay = new Map();
+      for (const chainPoints of pointsByChain.values()) {
+        for (const point of this.deriveDailyTxCounts(chainPoints)) {
+          if (point.timestamp < cutoffDate) continue;
+
+          const dayTimestamp = Math.floor(point.timestamp / INTERVAL_SECONDS.day) * INTERVAL_SECONDS.day;
+          if (!byDay.has(dayTimestamp)) {
+            byDay.set(dayTimestamp, { txCount: 0, chainCount: 0, estimatedChainCount: 0 });
+          }
+          const entry = byDay.get(dayTimestamp);
+          entry.txCount += point.txCount;
+          entry.chainCount++;
+          if (point.estimated || point.counterReset) entry.estimatedChainCount++;
+        }
+      }
+
+      const data = Array.from(byDay.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([timestamp, entry]) => ({
+          timestamp,
+          date: new Date(timestamp * 1000).toISOString(),
+          ...entry
+        }));
+
+      logger.info(`Derived ${data.length} days of network TxCount from ${pointsByChain.size} chains`);
+
+      cacheManager.set(cacheKey, data, config.cache.txCount);
+
+      return data;
+    } catch (error) {
+      logger.error(`Error deriving network daily TxCount: ${error.message}`);
+      throw new Error(`Error deriving network daily TxCount: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds missing daily points in a chain's TPS or cumulative tx count series
+   * Only days after the chain's first stored point count, and today is skipped
+   * since its point may not be published yet.
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - 'tps' or 'txCount'
+   * @param {number} days - Number of days to scan
+   * @returns {Promise<Array>} - Gaps as { start, end, missingDays } with day timestamps in seconds, oldest first
+   */
+  async findDataGaps(chainId, metric = 'tps', days = config.api.metrics.gapBackfill.lookbackDays) {
+    const { model } = METRIC_SERIES[metric].day;
+    const day = INTERVAL_SECONDS.day;
+    const today = Math.floor(Date.now() / 1000 / day) * day;
+    const since = today - (days * day);
+
+    const points = await model.find({ chainId, timestamp: { $gte: since } })
+      .sort({ timestamp: 1 })
+      .select('-_id timestamp')
+      .lean();
+
+    if (points.length === 0) {
+      return [];
+    }
+
+    const present = new Set(points.map(point => Math.floor(point.timestamp / day) * day));
+    const firstDay = Math.floor(points[0].timestamp / day) * day;
+    const gaps = [];
+    let gap = null;
+
+    for (let timestamp = firstDay; timestamp < today; timestamp += day) {
+      if (present.has(timestamp)) {
+        gap = null;
+        continue;
+      }
+
+      if (!gap) {
+        gap = { start: timestamp, end: timestamp, missingDays: 0 };
+        gaps.push(gap);
+      }
+      gap.end = timestamp;
+      gap.missingDays++;
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Fills missing daily points for a chain from the metrics API
+   * Requests go through the same rate-limited queue as regular updates.
+   * @param {string} chainId - The chain ID
+   * @param {string} metric - 'tps' or 'txCount'
+   * @param {Object} options - Backfill options
+   * @param {number} [options.days] - Number of days to scan
+   * @param {boolean} [options.dryRun] - Only report gaps without fetching
+   * @returns {Promise<Object>} - { chainId, metric, gaps, missingDays, filledDays, remainingDays }
+   */
+  async backfillDataGaps(chainId, metric = 'tps', { days = config.api.metrics.gapBackfill.lookbackDays, dryRun = false } = {}) {
+    const gaps = await this.findDataGaps(chainId, metric, days);
+    const missingDays = gaps.reduce((sum, gap) => sum + gap.missingDays, 0);
+    const summary = { chainId, metric, gaps, missingDays, filledDays: 0, remainingDays: missingDays };
+
+    if (gaps.length === 0 || dryRun) {
+      return summary;
+    }
+
+    logger.info(`[Gap Backfill] Filling ${missingDays} missing ${metric} days in ${gaps.length} gaps for chain ${chainId}`);
+
+    const series = METRIC_SERIES[metric].day;
+    for (const gap of gaps) {
+      await this.updateMetricSeries(chainId, {
+        ...series,
+        logLabel: `Gap Backfill ${metric}`,
+        range: { start: gap.start, end: gap.end + INTERVAL_SECONDS.day - 1 }
+      });
+    }
+
+    // Rescan: the metrics API may simply have no points for some days
+    const remaining = await this.findDataGaps(chainId, metric, days);
+    summary.remainingDays = remaining.reduce((sum, gap) => sum + gap.missingDays, 0);
+    summary.filledDays = missingDays - summary.remainingDays;
+
+    logger.info(`[Gap Backfill] Chain ${chainId} ${metric}: filled ${summary.filledDays}/${missingDays} days`);
+
+    return summary;
+  }
+
+  /**
+   * Scans and backfills TPS and tx count gaps for several chains
+   * @param {Object} options - Backfill options
+   * @param {Array<string>} [options.chainIds] - Chains to scan (default: all chains)
+   * @param {Array<string>} [options.metrics] - Metrics to scan (default: tps and txCount)
+   * @param {number} [options.days] - Number of days to scan
+   * @param {boolean} [options.dryRun] - Only report gaps without fetching
+   * @returns {Promise<Array>} - Per chain and metric summaries that had gaps
+   */
+  async runGapBackfill({ chainIds, metrics = ['tps', 'txCount'], days, dryRun = false } = {}) {
+    const ids = chainIds || (await Chain.find().select('chainId').lean()).map(chain => chain.chainId);
+    const results = [];
+
+    for (const chainId of ids) {
+      for (const metric of metrics) {
+        try {
+          const summary = await this.backfillDataGaps(chainId, metric, { days, dryRun });
+          if (summary.missingDays > 0) {
+            results.push(summary);
+          }
+        } catch (error) {
+          logger.error(`[Gap Backfill] Failed for chain ${chainId} ${metric}:`, { error: error.message });
+        }
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Gets the latest cumulative transaction count for a specific chain
    * @param {string} chainId - The chain ID
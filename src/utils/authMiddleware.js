@@ -0,0 +1,51 @@
+/**
+ * API key checks for admin endpoints
+ * Admin requests send `Authorization: Bearer <ADMIN_API_KEY>`. Admin routes
+ * stay disabled until ADMIN_API_KEY is set.
+ */
+const crypto = require('crypto');
+const config = require('../config/config');
+const logger = require('./logger');
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} provided - Key sent by the client
+ * @param {string} expected - Configured key
+ * @returns {boolean} Whether the keys match
+ */
+const keysMatch = (provided, expected) => {
+  const providedHash = crypto.createHash('sha256').update(provided).digest();
+  const expectedHash = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(providedHash, expectedHash);
+};
+
+/**
+ * Reject requests without the admin API key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const requireAdminKey = (req, res, next) => {
+  const expected = config.apiKeys.admin;
+  if (!expected) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API is not configured'
+    });
+  }
+
+  const [scheme, provided] = (req.get('Authorization') || '').split(' ');
+  if (scheme !== 'Bearer' || !provided || !keysMatch(provided, expected)) {
+    logger.warn('Rejected admin request', { path: req.originalUrl, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing admin API key'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireAdminKey
+};
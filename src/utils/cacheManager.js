@@ -12,8 +12,8 @@ class CacheManager {
       evictions: 0
     };
     
-    // Run cache cleanup every 10 minutes
-    setInterval(() => this.cleanup(), 10 * 60 * 1000);
+    // Run cache cleanup every 10 minutes, without keeping scripts and tests alive
+    setInterval(() => this.cleanup(), 10 * 60 * 1000).unref();
   }
 
   /**
@@ -0,0 +1,37 @@
+/**
+ * Chain directory categories
+ * A chain has at most one category, stored as its slug, plus any number of
+ * free-form tags. Both are curated through the chain registry.
+ */
+
+const CATEGORIES = {
+  gaming: 'Gaming',
+  defi: 'DeFi',
+  enterprise: 'Enterprise',
+  rwa: 'Real World Assets',
+  infrastructure: 'Infrastructure'
+};
+
+const CATEGORY_SLUGS = Object.keys(CATEGORIES);
+
+/**
+ * Normalize tags to unique lowercase slugs
+ * @param {Array<string>} tags - Raw tags
+ * @returns {Array<string>} Tags in their original order without duplicates
+ */
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return [];
+  }
+  const normalized = tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+    .filter(Boolean);
+  return Array.from(new Set(normalized));
+};
+
+module.exports = {
+  CATEGORIES,
+  CATEGORY_SLUGS,
+  normalizeTags
+};
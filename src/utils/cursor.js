@@ -0,0 +1,37 @@
+/**
+ * Opaque cursor helpers for keyset pagination
+ * A cursor encodes the sort values of the last item returned so the next page
+ * can continue after it, which stays stable while new documents are inserted
+ */
+
+/**
+ * Encode sort values into an opaque cursor string
+ * @param {Object} values - Sort values of the last item on the page
+ * @returns {string} URL-safe cursor
+ */
+const encodeCursor = (values) => {
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object} Decoded sort values
+ * @throws {Error} 'Invalid cursor' if the cursor can't be decoded
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!values || typeof values !== 'object') {
+      throw new Error('Cursor is not an object');
+    }
+    return values;
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
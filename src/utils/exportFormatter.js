@@ -0,0 +1,117 @@
+/**
+ * CSV and JSON-lines export for time-series endpoints
+ * The format comes from ?format=json|csv|ndjson or, failing that, the Accept
+ * header. Callers load the rows up front; CSV and JSON lines are written to
+ * the response in batches of lines rather than as one big string.
+ */
+const { Readable, pipeline } = require('stream');
+const logger = require('./logger');
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+// Rows written per chunk of output
+const BATCH_SIZE = 500;
+
+/**
+ * Pick the response format for a request
+ * @param {Object} req - Express request object
+ * @returns {string} 'json', 'csv' or 'ndjson'
+ */
+const getExportFormat = (req) => {
+  if (req.query.format) {
+    return req.query.format;
+  }
+
+  // JSON is listed first so it wins for */* and browser defaults
+  const accepted = req.accepts(['application/json', CONTENT_TYPES.csv, CONTENT_TYPES.ndjson]);
+  if (accepted === CONTENT_TYPES.csv) return 'csv';
+  if (accepted === CONTENT_TYPES.ndjson) return 'ndjson';
+  return 'json';
+};
+
+/**
+ * Escape a single CSV field
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Generate the output in batches of lines
+ * @param {Array} rows - Flat row objects
+ * @param {Array<string>} columns - Row keys to output, in order
+ * @param {string} format - 'csv' or 'ndjson'
+ */
+function* generateLines(rows, columns, format) {
+  const formatRow = format === 'csv'
+    ? row => columns.map(column => escapeCsv(row[column])).join(',')
+    : row => JSON.stringify(Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+
+  if (format === 'csv') {
+    yield `${columns.join(',')}\n`;
+  }
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    yield rows.slice(i, i + BATCH_SIZE).map(row => `${formatRow(row)}\n`).join('');
+  }
+}
+
+/**
+ * Add an ISO date next to a point's unix timestamp, for spreadsheet-friendly rows
+ * @param {Object} point - Point with a timestamp in seconds
+ * @returns {Object} Point with a date field
+ */
+const withIsoDate = (point) => ({
+  ...point,
+  date: new Date(point.timestamp * 1000).toISOString()
+});
+
+/**
+ * Respond with JSON, or write the rows as CSV or JSON lines
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - Response content
+ * @param {Object} options.json - Body sent for JSON requests
+ * @param {Array|Function} options.rows - Flat rows for CSV/NDJSON (a function is only called when needed)
+ * @param {Array<string>} options.columns - Row keys to output, in order
+ * @param {string} options.filename - Download name without extension
+ */
+const sendSeries = (req, res, { json, rows, columns, filename }) => {
+  res.vary('Accept');
+
+  const format = getExportFormat(req);
+  if (format === 'json') {
+    return res.json(json);
+  }
+
+  const exportRows = typeof rows === 'function' ? rows() : rows;
+
+  res.setHeader('Content-Type', `${CONTENT_TYPES[format]}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}.${format}"`);
+
+  // A failed row aborts the response instead of leaving it hanging
+  pipeline(Readable.from(generateLines(exportRows, columns, format)), res, (error) => {
+    if (error) {
+      logger.error('Export failed:', { path: req.originalUrl, format, error: error.message });
+    }
+  });
+};
+
+module.exports = {
+  getExportFormat,
+  sendSeries,
+  withIsoDate
+};
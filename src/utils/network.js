@@ -0,0 +1,67 @@
+/**
+ * Avalanche network helpers (mainnet and the Fuji testnet)
+ * Chains carry Glacier's isTestnet flag. Teleporter documents carry a network
+ * field, which is missing on documents stored before Fuji was ingested, so
+ * those are treated as mainnet.
+ */
+const config = require('../config/config');
+
+const NETWORKS = ['mainnet', 'fuji'];
+const DEFAULT_NETWORK = 'mainnet';
+
+/**
+ * Networks enabled for ingestion
+ * @returns {Array<string>} Network names
+ */
+const getEnabledNetworks = () => {
+  return config.api.glacier.networks.filter(network => NETWORKS.includes(network));
+};
+
+/**
+ * Network a chain belongs to
+ * @param {Object} chain - Chain document or Glacier chain
+ * @returns {string} 'mainnet' or 'fuji'
+ */
+const getChainNetwork = (chain) => {
+  return chain && chain.isTestnet ? 'fuji' : 'mainnet';
+};
+
+/**
+ * Chain collection filter for a network
+ * @param {string} network - 'mainnet' or 'fuji'
+ * @returns {Object} Mongo query
+ */
+const getChainNetworkQuery = (network = DEFAULT_NETWORK) => {
+  return network === 'fuji' ? { isTestnet: true } : { isTestnet: { $ne: true } };
+};
+
+/**
+ * Filter for documents with a network field (teleporter messages, snapshots, update states)
+ * @param {string} network - 'mainnet' or 'fuji'
+ * @returns {Object} Mongo query
+ */
+const getNetworkQuery = (network = DEFAULT_NETWORK) => {
+  return network === DEFAULT_NETWORK
+    ? { network: { $in: [DEFAULT_NETWORK, null] } }
+    : { network };
+};
+
+/**
+ * Glacier endpoint path for a network
+ * @param {string} name - Key in config.api.glacier.endpoints
+ * @param {string} network - 'mainnet' or 'fuji'
+ * @returns {string} Endpoint path
+ */
+const getGlacierEndpoint = (name, network = DEFAULT_NETWORK) => {
+  return config.api.glacier.endpoints[name].replace('{network}', network);
+};
+
+module.exports = {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  getEnabledNetworks,
+  getChainNetwork,
+  getChainNetworkQuery,
+  getNetworkQuery,
+  getGlacierEndpoint
+};
@@ -1,4 +1,5 @@
-const { param, query, validationResult } = require("express-validator");
+const { body, param, query, validationResult } = require("express-validator");
+const { CATEGORY_SLUGS } = require("./categories");
 
 // Middleware to validate and sanitize request parameters
 const validate = (validations) => {
@@ -56,25 +57,341 @@ const validationRules = {
     .isInt({ min: 1, max: 365 })
     .withMessage("Days must be an integer between 1 and 365")
     .toInt(),
+
+  // Days parameter for TPS and tx count history, which fall back to rollups for long ranges
+  historyDays: query("days")
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage("Days must be an integer between 1 and 3650")
+    .toInt(),
+
+  // Metric name validation (for generic metric endpoints)
+  metric: param("metric")
+    .trim()
+    .notEmpty()
+    .withMessage("Metric is required")
+    .matches(/^[a-zA-Z]{1,50}$/)
+    .withMessage("Metric must be a metric name"),
+
+  // Granularity parameter validation (for TPS and tx count history endpoints)
+  granularity: query("granularity")
+    .optional()
+    .isIn(["day", "hour"])
+    .withMessage("Granularity must be one of: day, hour"),
+
+  // Granularity for TPS and tx count history, including weekly and monthly rollups
+  historyGranularity: query("granularity")
+    .optional()
+    .isIn(["day", "hour", "week", "month"])
+    .withMessage("Granularity must be one of: day, hour, week, month"),
+
+  // Avalanche network for list and network-wide endpoints
+  network: query("network")
+    .optional()
+    .isIn(["mainnet", "fuji"])
+    .withMessage("Network must be one of: mainnet, fuji"),
+
+  // Page size and cursor for cursor-paginated lists
+  limit: query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be an integer between 1 and 200")
+    .toInt(),
+
+  cursor: query("cursor")
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Cursor must be a string of at most 500 characters"),
+
+  // Export format for time-series endpoints (defaults to the Accept header)
+  format: query("format")
+    .optional()
+    .isIn(["json", "csv", "ndjson"])
+    .withMessage("Format must be one of: json, csv, ndjson"),
+
+  // EVM chain ID filters for teleporter message queries
+  sourceChainIdQuery: query("sourceChainId")
+    .optional()
+    .trim()
+    .matches(/^\d+$/)
+    .withMessage("Source chain ID must be a numeric EVM chain ID"),
+
+  destinationChainIdQuery: query("destinationChainId")
+    .optional()
+    .trim()
+    .matches(/^\d+$/)
+    .withMessage("Destination chain ID must be a numeric EVM chain ID"),
 };
 
+// Top-level chain fields that /chains can be narrowed to
+const chainListFields = [
+  "chainId", "status", "chainName", "description", "platformChainId", "subnetId", "vmId", "vmName",
+  "explorerUrl", "rpcUrl", "wsUrl", "isTestnet", "utilityAddresses", "networkToken", "chainLogoUri",
+  "private", "enabledFeatures", "validators", "validatorCount", "lastUpdated", "tps", "website",
+  "socials", "category", "tags", "fieldSources", "firstSeen", "lastSeenInGlacier", "lifecycleState",
+  "inactiveSince",
+];
+
+// Filters shared by the anomaly endpoints
+const anomalyFilters = [
+  validationRules.days,
+  query("metric")
+    .optional()
+    .isIn(["tps", "txCount"])
+    .withMessage("Metric must be one of: tps, txCount"),
+  query("type")
+    .optional()
+    .isIn(["spike", "drop", "drop_to_zero", "stale"])
+    .withMessage("Type must be one of: spike, drop, drop_to_zero, stale"),
+  query("severity")
+    .optional()
+    .isIn(["low", "medium", "high"])
+    .withMessage("Severity must be one of: low, medium, high"),
+  query("active")
+    .optional()
+    .isBoolean()
+    .withMessage("Active must be true or false")
+    .toBoolean(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage("Limit must be an integer between 1 and 500")
+    .toInt(),
+];
+
+// Optional http(s) URL in a registry override body
+const overrideUrl = (field, label) =>
+  body(field)
+    .optional({ nullable: true, checkFalsy: true })
+    .isURL({ protocols: ["http", "https"], require_protocol: true })
+    .withMessage(`${label} must be an http(s) URL`);
+
+// Category and tags in an admin request body; null clears them
+const categoryBody = (field) =>
+  body(field)
+    .optional({ nullable: true })
+    .isIn(CATEGORY_SLUGS)
+    .withMessage(`Category must be one of: ${CATEGORY_SLUGS.join(", ")}`);
+
+const tagsBody = (field) => [
+  body(field)
+    .optional({ nullable: true })
+    .isArray({ max: 20 })
+    .withMessage("Tags must be an array of at most 20 tags"),
+  body(`${field}.*`)
+    .isString()
+    .trim()
+    .matches(/^[\w -]{1,30}$/)
+    .withMessage("Each tag must be at most 30 letters, digits, spaces or dashes"),
+];
+
 // Validation chains for different routes
 const validators = {
   // Chain routes
+  getAllChains: [
+    validationRules.network,
+    query("q")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Search must be between 1 and 100 characters"),
+    query(["vmName", "status", "enabledFeatures"])
+      .optional()
+      .trim()
+      .matches(/^[\w-]+(,[\w-]+)*$/)
+      .withMessage("Filters must be comma-separated names"),
+    query("category")
+      .optional()
+      .custom((value) => value.split(",").every((category) => CATEGORY_SLUGS.includes(category.trim().toLowerCase())))
+      .withMessage(`Category must be a comma-separated list of: ${CATEGORY_SLUGS.join(", ")}`),
+    query("tag")
+      .optional()
+      .trim()
+      .matches(/^[\w-]+(,[\w-]+)*$/)
+      .withMessage("Tags must be comma-separated tag names"),
+    query("hasTeleporter")
+      .optional()
+      .isBoolean()
+      .withMessage("Has teleporter must be true or false")
+      .toBoolean(),
+    query("minValidators")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("Minimum validators must be a non-negative integer")
+      .toInt(),
+    query("sort")
+      .optional()
+      .isIn(["tps", "validators", "name"])
+      .withMessage("Sort must be one of: tps, validators, name"),
+    query("order")
+      .optional()
+      .isIn(["asc", "desc"])
+      .withMessage("Order must be one of: asc, desc"),
+    query("fields")
+      .optional()
+      .custom((value) => value.split(",").every((field) => chainListFields.includes(field.trim())))
+      .withMessage("Fields must be a comma-separated list of chain fields"),
+    validationRules.limit,
+    validationRules.cursor,
+  ],
+
   getChainById: [validationRules.chainId],
 
+  getNewChains: [validationRules.days, validationRules.network],
+
+  getInactiveChains: [validationRules.network],
+
+  getCategories: [validationRules.network],
+
+  // Chain registry admin routes
+  getChainOverride: [validationRules.chainId],
+
+  updateChainOverride: [
+    validationRules.chainId,
+    body("fields")
+      .isObject()
+      .withMessage("Fields must be an object"),
+    body("fields.chainName")
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Chain name must be a string of at most 100 characters"),
+    overrideUrl("fields.chainLogoUri", "Logo"),
+    body("fields.description")
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage("Description must be a string of at most 2000 characters"),
+    overrideUrl("fields.website", "Website"),
+    overrideUrl("fields.socials.twitter", "Twitter"),
+    overrideUrl("fields.socials.discord", "Discord"),
+    overrideUrl("fields.socials.telegram", "Telegram"),
+    overrideUrl("fields.socials.github", "GitHub"),
+    categoryBody("fields.category"),
+    ...tagsBody("fields.tags"),
+    overrideUrl("fields.rpcUrl", "RPC URL"),
+    body("fields.wsUrl")
+      .optional({ nullable: true, checkFalsy: true })
+      .isURL({ protocols: ["ws", "wss"], require_protocol: true })
+      .withMessage("WebSocket URL must be a ws(s) URL"),
+    overrideUrl("fields.explorerUrl", "Explorer URL"),
+    body("note")
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage("Note must be a string of at most 500 characters"),
+    body("updatedBy")
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Updated by must be a string of at most 100 characters"),
+  ],
+
+  updateChainCategory: [
+    validationRules.chainId,
+    body()
+      .custom((value) => value.category !== undefined || value.tags !== undefined)
+      .withMessage("Category or tags is required"),
+    categoryBody("category"),
+    ...tagsBody("tags"),
+    body("updatedBy")
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Updated by must be a string of at most 100 characters"),
+  ],
+
   getChainValidators: [validationRules.chainId],
 
+  getRpcStatus: [
+    validationRules.chainId,
+    query("days")
+      .optional()
+      .isInt({ min: 1, max: 30 })
+      .withMessage("Days must be an integer between 1 and 30")
+      .toInt(),
+  ],
+
+  compareChains: [
+    query("chains")
+      .trim()
+      .notEmpty()
+      .withMessage("Chains is required (comma-separated chain IDs)")
+      .custom((value) => value.split(",").filter((id) => id.trim()).length <= 10)
+      .withMessage("At most 10 chains can be compared"),
+    query("metrics")
+      .optional()
+      .custom((value) => value.split(",").every((metric) => ["tps", "txCount", "validators"].includes(metric.trim())))
+      .withMessage("Metrics must be a comma-separated list of: tps, txCount, validators"),
+    validationRules.days,
+  ],
+
+  getChainRankings: [
+    query("metric")
+      .optional()
+      .isIn(["tps", "txCount", "validators"])
+      .withMessage("Metric must be one of: tps, txCount, validators"),
+    query("window")
+      .optional()
+      .isIn(["24h", "7d", "30d"])
+      .withMessage("Window must be one of: 24h, 7d, 30d"),
+    validationRules.network,
+  ],
+
+  getRecentChainChanges: [
+    validationRules.days,
+    query("event")
+      .optional()
+      .isIn(["chain_launched", "vm_migrated", "subnet_changed", "status_changed", "rpc_changed", "token_changed", "renamed", "lifecycle_changed", "metadata_updated"])
+      .withMessage("Event must be one of: chain_launched, vm_migrated, subnet_changed, status_changed, rpc_changed, token_changed, renamed, lifecycle_changed, metadata_updated"),
+    validationRules.network,
+    validationRules.limit,
+    validationRules.cursor,
+  ],
+
+  getChainHistory: [
+    validationRules.chainId,
+    query("field")
+      .optional()
+      .trim()
+      .matches(/^[a-zA-Z.]{1,50}$/)
+      .withMessage("Field must be a chain field name"),
+    validationRules.limit,
+    validationRules.cursor,
+  ],
+
   // TPS routes
-  getTpsHistory: [validationRules.chainId, validationRules.days],
+  getTpsHistory: [validationRules.chainId, validationRules.historyDays, validationRules.historyGranularity, validationRules.format],
 
   getLatestTps: [validationRules.chainId],
 
+  getNetworkTpsHistory: [validationRules.days, validationRules.granularity, validationRules.format, validationRules.network],
+
+  getNetworkTps: [validationRules.network],
+
+  // Generic metric routes
+  getMetricHistory: [
+    validationRules.chainId,
+    validationRules.metric,
+    validationRules.days,
+    validationRules.granularity,
+  ],
+
+  getLatestMetric: [validationRules.chainId, validationRules.metric],
+
+  // Transaction count routes
+  getTxCountHistory: [validationRules.chainId, validationRules.historyDays, validationRules.historyGranularity, validationRules.format],
+
+  getDailyTxCount: [validationRules.chainId, validationRules.days, validationRules.format],
+
+  getNetworkDailyTxCount: [validationRules.days, validationRules.format, validationRules.network],
+
   // Teleporter routes
-  getDailyCrossChainMessageCount: [],
+  getDailyCrossChainMessageCount: [validationRules.network],
 
   // Weekly teleporter routes
-  getWeeklyCrossChainMessageCount: [],
+  getWeeklyCrossChainMessageCount: [validationRules.network],
 
   // Historical daily teleporter routes
   getHistoricalDailyData: [
@@ -83,8 +400,154 @@ const validators = {
       .isInt({ min: 1, max: 90 })
       .withMessage("Days must be an integer between 1 and 90")
       .toInt(),
+    validationRules.format,
+    validationRules.network,
+  ],
+
+  // Teleporter message explorer routes
+  getTeleporterMessages: [
+    validationRules.sourceChainIdQuery,
+    validationRules.destinationChainIdQuery,
+    query("status")
+      .optional()
+      .trim()
+      .matches(/^[a-z_]{1,50}$/)
+      .withMessage("Status must be a lowercase status name"),
+    query("from")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("From must be a unix timestamp in seconds")
+      .toInt(),
+    query("to")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("To must be a unix timestamp in seconds")
+      .toInt(),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage("Limit must be an integer between 1 and 200")
+      .toInt(),
+    query("cursor")
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Cursor must be a string of at most 500 characters"),
+    validationRules.network,
+  ],
+
+  getTeleporterLatency: [
+    query("hours")
+      .optional()
+      .isInt({ min: 1, max: 720 })
+      .withMessage("Hours must be an integer between 1 and 720")
+      .toInt(),
+    validationRules.sourceChainIdQuery,
+    validationRules.destinationChainIdQuery,
+    validationRules.network,
+  ],
+
+  getTeleporterPending: [
+    query("timeoutMinutes")
+      .optional()
+      .isInt({ min: 1, max: 10080 })
+      .withMessage("Timeout must be an integer between 1 and 10080 minutes")
+      .toInt(),
+    validationRules.sourceChainIdQuery,
+    validationRules.destinationChainIdQuery,
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage("Limit must be an integer between 1 and 500")
+      .toInt(),
+    validationRules.network,
+  ],
+
+  getTeleporterMessageCountSeries: [
+    query("from")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("From must be a unix timestamp in seconds")
+      .toInt(),
+    query("to")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("To must be a unix timestamp in seconds")
+      .toInt(),
+    query("granularity")
+      .optional()
+      .isIn(["hour", "day", "week"])
+      .withMessage("Granularity must be one of: hour, day, week"),
+    validationRules.sourceChainIdQuery,
+    validationRules.destinationChainIdQuery,
+    validationRules.format,
+    validationRules.network,
+  ],
+
+  getTeleporterGraph: [
+    query("from")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("From must be a unix timestamp in seconds")
+      .toInt(),
+    query("to")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("To must be a unix timestamp in seconds")
+      .toInt(),
+    query("minWeight")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Minimum weight must be a positive integer")
+      .toInt(),
+    validationRules.network,
   ],
 
+  getChainTeleporterStats: [
+    validationRules.chainId,
+    query("window")
+      .optional()
+      .isIn(["day", "week", "custom"])
+      .withMessage("Window must be one of: day, week, custom"),
+    query("from")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("From must be a unix timestamp in seconds")
+      .toInt(),
+    query("to")
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage("To must be a unix timestamp in seconds")
+      .toInt(),
+    query("granularity")
+      .optional()
+      .isIn(["hour", "day", "week"])
+      .withMessage("Granularity must be one of: hour, day, week"),
+    validationRules.network,
+  ],
+
+  getTeleporterMessageById: [
+    param("messageId")
+      .trim()
+      .notEmpty()
+      .withMessage("Message ID is required")
+      .isLength({ max: 200 })
+      .withMessage("Message ID must be at most 200 characters"),
+    validationRules.network,
+  ],
+
+  // Anomaly routes validators
+  getAnomalies: [
+    query("chainId")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Chain ID must not be empty"),
+    ...anomalyFilters,
+  ],
+
+  getChainAnomalies: [validationRules.chainId, ...anomalyFilters],
+
   // Generic chainId parameter validator
   getChainIdParam: [validationRules.chainId],
 
@@ -0,0 +1,40 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const anomalyService = require('../src/services/anomalyService');
+const Anomaly = require('../src/models/anomaly');
+
+// Captures the filter passed to Anomaly.find and resolves the chained query with no rows
+const mockFind = () => mock.method(Anomaly, 'find', () => {
+  const query = {
+    sort: () => query,
+    limit: () => query,
+    select: () => query,
+    lean: async () => []
+  };
+  return query;
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('getAnomalies limits recent anomalies to the days window', async () => {
+  const find = mockFind();
+
+  await anomalyService.getAnomalies({ days: 7 });
+
+  const [query] = find.mock.calls[0].arguments;
+  const windowStart = query.detectedAt.$gte.getTime();
+  assert.ok(Math.abs(windowStart - (Date.now() - 7 * 24 * 60 * 60 * 1000)) < 1000);
+});
+
+test('getAnomalies returns active anomalies however long ago they were detected', async () => {
+  const find = mockFind();
+
+  await anomalyService.getAnomalies({ active: true, days: 7 });
+
+  const [query] = find.mock.calls[0].arguments;
+  assert.ok(!('detectedAt' in query));
+  assert.strictEqual(query.resolvedAt, null);
+  assert.deepStrictEqual(query.type, { $in: ['stale', 'drop_to_zero'] });
+});
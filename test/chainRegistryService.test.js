@@ -0,0 +1,48 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const chainRegistryService = require('../src/services/chainRegistryService');
+const chainHistoryService = require('../src/services/chainHistoryService');
+const Chain = require('../src/models/chain');
+const ChainOverride = require('../src/models/chainOverride');
+
+const CHAIN_ID = '43114';
+
+// Chain whose admin override of chainName and description was just deleted
+const storedChain = {
+  chainId: CHAIN_ID,
+  chainName: 'Curated Name',
+  description: 'Curated description',
+  chainLogoUri: 'https://example.com/logo.png',
+  fieldSources: { chainName: 'admin', description: 'admin', chainLogoUri: 'glacier', socials: {} },
+  glacierValues: {
+    chainName: 'Glacier Name',
+    description: 'Glacier description',
+    chainLogoUri: 'https://example.com/logo.png'
+  }
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('refreshChain restores Glacier values once an override is removed', async () => {
+  mock.method(Chain, 'findOne', () => ({ lean: async () => storedChain }));
+  mock.method(ChainOverride, 'findOne', () => ({ lean: async () => null }));
+  mock.method(chainRegistryService, 'getFileOverrides', () => ({}));
+  const update = mock.method(Chain, 'findOneAndUpdate', async (filter, fields) => ({
+    toObject: () => ({ ...storedChain, ...fields })
+  }));
+  const recordChanges = mock.method(chainHistoryService, 'recordChanges', async () => {});
+
+  await chainRegistryService.refreshChain(CHAIN_ID);
+
+  const [, fields] = update.mock.calls[0].arguments;
+  assert.strictEqual(fields.chainName, 'Glacier Name');
+  assert.strictEqual(fields.description, 'Glacier description');
+  assert.strictEqual(fields.chainLogoUri, 'https://example.com/logo.png');
+  assert.strictEqual(fields.fieldSources.chainName, 'glacier');
+  assert.strictEqual(fields.fieldSources.description, 'glacier');
+
+  const [, current] = recordChanges.mock.calls[0].arguments;
+  assert.strictEqual(current.chainName, 'Glacier Name');
+});
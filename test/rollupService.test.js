@@ -0,0 +1,46 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const rollupService = require('../src/services/rollupService');
+const tpsService = require('../src/services/tpsService');
+const Chain = require('../src/models/chain');
+const MetricRollup = require('../src/models/metricRollup');
+
+const CHAIN = { chainId: '43114' };
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('backfillHistory leaves a chain unmarked when the fetch fails', async () => {
+  mock.method(tpsService, 'backfillHistory', async () => {
+    throw new Error('Request timed out');
+  });
+  const updateChain = mock.method(Chain, 'updateOne', async () => ({}));
+
+  await assert.rejects(rollupService.backfillHistory(CHAIN, 'tps'), { message: 'Request timed out' });
+  assert.strictEqual(updateChain.mock.callCount(), 0);
+});
+
+test('backfillHistory marks a chain after a successful fetch without older points', async () => {
+  mock.method(tpsService, 'backfillHistory', async () => false);
+  const deleteRollups = mock.method(MetricRollup, 'deleteMany', async () => ({ deletedCount: 0 }));
+  const updateChain = mock.method(Chain, 'updateOne', async () => ({}));
+
+  await rollupService.backfillHistory(CHAIN, 'tps');
+
+  assert.strictEqual(deleteRollups.mock.callCount(), 0);
+  assert.strictEqual(updateChain.mock.callCount(), 1);
+  const [filter, update] = updateChain.mock.calls[0].arguments;
+  assert.deepStrictEqual(filter, { chainId: CHAIN.chainId });
+  assert.ok(update['historyBackfilledAt.tps'] instanceof Date);
+});
+
+test('backfillHistory rebuilds rollups when older points arrived', async () => {
+  mock.method(tpsService, 'backfillHistory', async () => true);
+  const deleteRollups = mock.method(MetricRollup, 'deleteMany', async () => ({ deletedCount: 4 }));
+  mock.method(Chain, 'updateOne', async () => ({}));
+
+  await rollupService.backfillHistory(CHAIN, 'txCount');
+
+  assert.deepStrictEqual(deleteRollups.mock.calls[0].arguments[0], { chainId: CHAIN.chainId, metric: 'txCount' });
+});
@@ -0,0 +1,91 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const rpcProbeService = require('../src/services/rpcProbeService');
+
+const CHAIN_ID = 43114;
+const BLOCK_NUMBER = 123456;
+
+let server;
+let baseUrl;
+const sockets = new Set();
+
+// JSON-RPC stub; the path picks how it answers
+const handlers = {
+  '/healthy': (method) => ({
+    result: `0x${(method === 'eth_chainId' ? CHAIN_ID : BLOCK_NUMBER).toString(16)}`
+  }),
+  '/wrong-chain': (method) => ({
+    result: `0x${(method === 'eth_chainId' ? 1 : BLOCK_NUMBER).toString(16)}`
+  }),
+  '/rpc-error': () => ({
+    error: { code: -32601, message: 'method not available' }
+  })
+};
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const handler = handlers[req.url];
+      if (!handler) {
+        return; // '/hang' never answers
+      }
+      const { id, method } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ jsonrpc: '2.0', id, ...handler(method) }));
+    });
+  });
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  sockets.forEach(socket => socket.destroy());
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('probeRpc reports a healthy endpoint serving the expected chain', async () => {
+  const result = await rpcProbeService.probeRpc(`${baseUrl}/healthy`, CHAIN_ID, { timeout: 1000 });
+
+  assert.strictEqual(result.up, true);
+  assert.strictEqual(result.healthy, true);
+  assert.strictEqual(result.blockNumber, BLOCK_NUMBER);
+  assert.strictEqual(result.reportedChainId, CHAIN_ID);
+  assert.strictEqual(result.chainIdMatches, true);
+  assert.strictEqual(result.error, null);
+  assert.ok(result.latencyMs >= 0);
+});
+
+test('probeRpc flags an endpoint reporting the wrong chain ID', async () => {
+  const result = await rpcProbeService.probeRpc(`${baseUrl}/wrong-chain`, CHAIN_ID, { timeout: 1000 });
+
+  assert.strictEqual(result.up, true);
+  assert.strictEqual(result.healthy, false);
+  assert.strictEqual(result.reportedChainId, 1);
+  assert.strictEqual(result.chainIdMatches, false);
+  assert.strictEqual(result.error, `Reported chain ID 1, expected ${CHAIN_ID}`);
+});
+
+test('probeRpc reports a JSON-RPC error as down', async () => {
+  const result = await rpcProbeService.probeRpc(`${baseUrl}/rpc-error`, CHAIN_ID, { timeout: 1000 });
+
+  assert.strictEqual(result.up, false);
+  assert.strictEqual(result.healthy, false);
+  assert.strictEqual(result.latencyMs, null);
+  assert.match(result.error, /^eth_(blockNumber|chainId) failed: method not available$/);
+});
+
+test('probeRpc reports an endpoint that never answers as timed out', async () => {
+  const result = await rpcProbeService.probeRpc(`${baseUrl}/hang`, CHAIN_ID, { timeout: 200 });
+
+  assert.strictEqual(result.up, false);
+  assert.strictEqual(result.healthy, false);
+  assert.strictEqual(result.error, 'Timed out after 200ms');
+});
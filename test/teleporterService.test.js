@@ -0,0 +1,51 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const teleporterService = require('../src/services/teleporterService');
+const IcmMessage = require('../src/models/icmMessage');
+
+const MESSAGE_ID = '0xabc';
+
+// Stand-in for a Mongoose query resolved with .lean()
+const leanQuery = (doc) => ({ lean: async () => doc });
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('getMessageById does not find a message stored under another network', async () => {
+  mock.method(IcmMessage, 'findOne', () => leanQuery({ messageId: MESSAGE_ID, network: 'mainnet', status: 'pending' }));
+  const fetchMessage = mock.method(teleporterService, 'fetchMessageFromGlacier', async () => {
+    throw new Error('Glacier should not be called');
+  });
+
+  await assert.rejects(teleporterService.getMessageById(MESSAGE_ID, 'fuji'), { message: 'Message not found' });
+  assert.strictEqual(fetchMessage.mock.callCount(), 0);
+});
+
+test('getMessageById treats a message stored without a network as mainnet', async () => {
+  mock.method(IcmMessage, 'findOne', () => leanQuery({ messageId: MESSAGE_ID, status: 'delivered' }));
+  mock.method(teleporterService, 'getChainMapping', async () => ({}));
+  const formatMessage = mock.method(teleporterService, 'formatMessage', (message) => message);
+
+  const message = await teleporterService.getMessageById(MESSAGE_ID, 'mainnet');
+  assert.strictEqual(message.messageId, MESSAGE_ID);
+  assert.strictEqual(formatMessage.mock.callCount(), 1);
+
+  await assert.rejects(teleporterService.getMessageById(MESSAGE_ID, 'fuji'), { message: 'Message not found' });
+});
+
+test('storeMessages sets the network on new messages only', async () => {
+  const bulkWrite = mock.method(IcmMessage, 'bulkWrite', async (operations) => ({
+    matchedCount: operations.length,
+    modifiedCount: operations.length,
+    upsertedCount: 0
+  }));
+
+  await teleporterService.storeMessages([{ messageId: MESSAGE_ID, status: 'delivered' }], 'fuji');
+
+  const [operations] = bulkWrite.mock.calls[0].arguments;
+  const { filter, update } = operations[0].updateOne;
+  assert.deepStrictEqual(filter, { messageId: MESSAGE_ID });
+  assert.strictEqual(update.$setOnInsert.network, 'fuji');
+  assert.ok(!('network' in update.$set));
+});
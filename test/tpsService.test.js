@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const tpsService = require('../src/services/tpsService');
+
+const DAY = 24 * 60 * 60;
+const START = 1700006400; // Midnight UTC
+
+test('deriveDailyTxCounts uses the new total as the count after a counter reset', () => {
+  const daily = tpsService.deriveDailyTxCounts([
+    { timestamp: START, value: 1000 },
+    { timestamp: START + DAY, value: 1200 },
+    { timestamp: START + 2 * DAY, value: 50 }
+  ]);
+
+  assert.deepStrictEqual(daily.map(point => point.txCount), [200, 50]);
+  assert.deepStrictEqual(daily.map(point => point.counterReset), [false, true]);
+  assert.ok(daily.every(point => !point.estimated));
+});
+
+test('deriveDailyTxCounts splits a multi-day gap with the remainder on the last day', () => {
+  // Unsorted input: the points are ordered by timestamp first
+  const daily = tpsService.deriveDailyTxCounts([
+    { timestamp: START + 3 * DAY, value: 100 },
+    { timestamp: START, value: 0 }
+  ]);
+
+  assert.deepStrictEqual(daily.map(point => point.timestamp), [START + DAY, START + 2 * DAY, START + 3 * DAY]);
+  assert.deepStrictEqual(daily.map(point => point.txCount), [33, 33, 34]);
+  assert.strictEqual(daily.reduce((sum, point) => sum + point.txCount, 0), 100);
+  assert.ok(daily.every(point => point.estimated));
+});
+
+test('deriveDailyTxCounts returns nothing for a single point', () => {
+  assert.deepStrictEqual(tpsService.deriveDailyTxCounts([{ timestamp: START, value: 500 }]), []);
+  assert.deepStrictEqual(tpsService.deriveDailyTxCounts([]), []);
+});
+
+const HOUR = 60 * 60;
+
+// Hourly points for a chain, keyed by hours after START
+const hourlyPoints = (chainId, valuesByHour) => Object.entries(valuesByHour)
+  .map(([hour, value]) => ({ chainId, timestamp: START + Number(hour) * HOUR, value }));
+
+const sortByTimestamp = (points) => points.sort((a, b) => a.timestamp - b.timestamp);
+
+test('buildNetworkTpsHistory interpolates a chain gap within maxFillSeconds', () => {
+  const tpsData = sortByTimestamp([
+    ...hourlyPoints('a', { 0: 1, 1: 1, 2: 1, 3: 1 }),
+    ...hourlyPoints('b', { 0: 10, 3: 40 })
+  ]);
+
+  const history = tpsService.buildNetworkTpsHistory(tpsData, { firstBucket: START, step: HOUR, maxFillSeconds: 3 * HOUR });
+
+  assert.deepStrictEqual(history.map(point => point.totalTps), [11, 21, 31, 41]);
+  assert.deepStrictEqual(history.map(point => point.isEstimated), [false, true, true, false]);
+  assert.deepStrictEqual(history[1].filledChains, [{ chainId: 'b', method: 'interpolated', value: 20 }]);
+  assert.deepStrictEqual(history.map(point => point.chainCount), [2, 2, 2, 2]);
+});
+
+test('buildNetworkTpsHistory leaves a chain unfilled beyond maxFillSeconds', () => {
+  const tpsData = sortByTimestamp([
+    ...hourlyPoints('a', { 0: 1, 1: 1, 2: 1, 3: 1, 4: 1, 5: 1, 6: 1 }),
+    ...hourlyPoints('b', { 0: 10, 6: 70 })
+  ]);
+
+  const history = tpsService.buildNetworkTpsHistory(tpsData, { firstBucket: START, step: HOUR, maxFillSeconds: 2 * HOUR });
+
+  // Carried forward while the last point is recent enough, then dropped until b reports again
+  assert.deepStrictEqual(history.map(point => point.chainCount), [2, 2, 2, 1, 1, 1, 2]);
+  assert.deepStrictEqual(history.map(point => point.totalTps), [11, 11, 11, 1, 1, 1, 71]);
+  assert.deepStrictEqual(history[1].filledChains, [{ chainId: 'b', method: 'carried_forward', value: 10 }]);
+  assert.ok(history.slice(3, 6).every(point => point.filledChainCount === 0 && !point.isEstimated));
+});